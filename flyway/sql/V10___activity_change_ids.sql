@@ -0,0 +1,5 @@
+-- Changes made offline carry an id chosen by the client, kept in `details`.
+-- A change whose response was lost is sent again; the index finds it, and
+-- makes a second copy that races the first fail instead of applying twice.
+CREATE UNIQUE INDEX ON activity_log (shopping_list_id, (details->>'changeId'))
+  WHERE details ? 'changeId';
@@ -0,0 +1,9 @@
+CREATE TABLE users (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  password CHAR(60) NOT NULL
+);
+
+ALTER TABLE shopping_lists ADD COLUMN user_id INTEGER REFERENCES users(id);
+
+CREATE INDEX ON shopping_lists (user_id);
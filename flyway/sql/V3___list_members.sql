@@ -0,0 +1,11 @@
+CREATE TABLE list_members (
+  shopping_list_id INTEGER NOT NULL REFERENCES shopping_lists(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(10) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+  PRIMARY KEY (shopping_list_id, user_id)
+);
+
+CREATE INDEX ON list_members (user_id);
+
+INSERT INTO list_members (shopping_list_id, user_id, role)
+  SELECT id, user_id, 'owner' FROM shopping_lists WHERE user_id IS NOT NULL;
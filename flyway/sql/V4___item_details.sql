@@ -0,0 +1,8 @@
+ALTER TABLE shopping_list_items
+  ADD COLUMN quantity NUMERIC(10, 3) NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  ADD COLUMN unit VARCHAR(10) NOT NULL DEFAULT 'pcs',
+  ADD COLUMN category VARCHAR(20) NOT NULL DEFAULT 'other';
+
+-- The categories in the order the user walks through the store; NULL means
+-- the default order.
+ALTER TABLE users ADD COLUMN aisle_order TEXT[];
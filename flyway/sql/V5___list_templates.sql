@@ -0,0 +1,2 @@
+-- Templates are lists that are meant to be copied, e.g. the weekly groceries.
+ALTER TABLE shopping_lists ADD COLUMN is_template BOOLEAN NOT NULL DEFAULT FALSE;
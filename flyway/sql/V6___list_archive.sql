@@ -0,0 +1,10 @@
+-- When the list was deactivated; unknown for lists deactivated before this
+-- column existed.
+ALTER TABLE shopping_lists ADD COLUMN deactivated_at TIMESTAMP WITH TIME ZONE;
+
+-- Deleting a list removes its items as well.
+ALTER TABLE shopping_list_items
+  DROP CONSTRAINT shopping_list_items_shopping_list_id_fkey,
+  ADD CONSTRAINT shopping_list_items_shopping_list_id_fkey
+    FOREIGN KEY (shopping_list_id) REFERENCES shopping_lists(id)
+    ON DELETE CASCADE;
@@ -0,0 +1,8 @@
+-- Full-text search over list and item names. The 'simple' configuration does
+-- no stemming, so it works for names in any language. Queries must use the
+-- same expressions for these indexes to apply.
+CREATE INDEX shopping_lists_name_search ON shopping_lists
+  USING GIN (to_tsvector('simple', name));
+
+CREATE INDEX shopping_list_items_name_search ON shopping_list_items
+  USING GIN (to_tsvector('simple', name));
@@ -0,0 +1,4 @@
+-- When the item last changed. Changes made offline and replayed later only
+-- apply if the item has not changed after them.
+ALTER TABLE shopping_list_items
+  ADD COLUMN updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW();
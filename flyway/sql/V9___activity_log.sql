@@ -0,0 +1,15 @@
+-- Every change to a list or its items. `item_id` has no foreign key because
+-- the log outlives removed items; `details` holds what the list or item
+-- looked like after the change.
+CREATE TABLE activity_log (
+  id SERIAL PRIMARY KEY,
+  shopping_list_id INTEGER NOT NULL REFERENCES shopping_lists(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  action VARCHAR(30) NOT NULL,
+  item_id INTEGER,
+  details JSONB NOT NULL DEFAULT '{}',
+  undone_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX ON activity_log (shopping_list_id, id);
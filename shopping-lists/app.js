@@ -1,13 +1,175 @@
-import { serve } from "https://deno.land/std@0.140.0/http/server.ts";
+import { config } from "./config.js";
+import * as aisleOrderController from "./controllers/aisleOrderController.js";
+import * as searchApiController from "./controllers/api/searchApiController.js";
+import * as sessionApiController from "./controllers/api/sessionApiController.js";
+import * as shoppingListApiController from "./controllers/api/shoppingListApiController.js";
+import * as shoppingListItemApiController from "./controllers/api/shoppingListItemApiController.js";
+import * as listEventController from "./controllers/listEventController.js";
+import * as listMemberController from "./controllers/listMemberController.js";
+import * as listTransferController from "./controllers/listTransferController.js";
+import * as loginController from "./controllers/loginController.js";
+import * as mainController from "./controllers/mainController.js";
+import * as monitoringController from "./controllers/monitoringController.js";
+import * as pwaController from "./controllers/pwaController.js";
+import * as registrationController from "./controllers/registrationController.js";
+import * as searchController from "./controllers/searchController.js";
+import * as shoppingListController from "./controllers/shoppingListController.js";
+import * as shoppingListItemController from "./controllers/shoppingListItemController.js";
+import { closePool } from "./database/database.js";
+import * as migrations from "./database/migrations.js";
+import { authMiddleware } from "./middlewares/authMiddleware.js";
+import { csrfMiddleware } from "./middlewares/csrfMiddleware.js";
+import { errorMiddleware } from "./middlewares/errorMiddleware.js";
+import { loggingMiddleware } from "./middlewares/loggingMiddleware.js";
+import { metricsMiddleware } from "./middlewares/metricsMiddleware.js";
+import { securityHeadersMiddleware } from "./middlewares/securityHeadersMiddleware.js";
+import { serveStaticMiddleware } from "./middlewares/serveStaticMiddleware.js";
+import { sessionMiddleware } from "./middlewares/sessionMiddleware.js";
+import * as listEventService from "./services/listEventService.js";
+import * as apiUtils from "./utils/apiUtils.js";
+import { compose } from "./utils/middleware.js";
+import { render } from "./utils/renderUtils.js";
+import * as requestUtils from "./utils/requestUtils.js";
+import { createRouter } from "./utils/router.js";
+import { startServer } from "./utils/server.js";
 
+const router = createRouter();
 
-const app = new Application();
-const session = new Session();
+router.get("/", mainController.showMain);
+router.get("/sw.js", pwaController.getServiceWorker);
+router.get("/manifest.webmanifest", pwaController.getManifest);
+router.get("/offline", pwaController.showOffline);
+router.get("/auth/register", registrationController.showRegistrationForm);
+router.post("/auth/register", registrationController.registerUser);
+router.get("/auth/login", loginController.showLoginForm);
+router.post("/auth/login", loginController.processLogin);
+router.post("/auth/logout", loginController.logout);
+router.get("/lists", shoppingListController.viewLists);
+router.post("/lists", shoppingListController.addList);
+router.get("/lists/archive", shoppingListController.viewArchive);
+router.post("/lists/copy", shoppingListController.copyList);
+router.get("/lists/import", listTransferController.showImportForm);
+router.post("/lists/import", listTransferController.importList);
+router.get("/lists/:id(\\d+)", shoppingListController.viewList);
+router.get("/lists/:id(\\d+)/export", listTransferController.exportList);
+router.post("/lists/:id(\\d+)/template", shoppingListController.setTemplate);
+router.post(
+  "/lists/:id(\\d+)/deactivate",
+  shoppingListController.deactivateList,
+);
+router.post(
+  "/lists/:id(\\d+)/reactivate",
+  shoppingListController.reactivateList,
+);
+router.get("/lists/:id(\\d+)/delete", shoppingListController.confirmDeleteList);
+router.post("/lists/:id(\\d+)/delete", shoppingListController.deleteList);
+router.post("/lists/:id(\\d+)/members", listMemberController.inviteMember);
+router.post(
+  "/lists/:id(\\d+)/members/:userId(\\d+)/remove",
+  listMemberController.removeMember,
+);
+router.post("/lists/:id(\\d+)/items", shoppingListItemController.addItem);
+router.post(
+  "/lists/:id(\\d+)/items/:itemId(\\d+)/collect",
+  shoppingListItemController.collectItem,
+);
+router.post(
+  "/lists/:id(\\d+)/items/:itemId(\\d+)/uncollect",
+  shoppingListItemController.uncollectItem,
+);
+router.post(
+  "/lists/:id(\\d+)/items/:itemId(\\d+)/delete",
+  shoppingListItemController.deleteItem,
+);
+router.post("/lists/:id(\\d+)/undo", shoppingListItemController.undoLastChange);
+router.get("/lists/:id(\\d+)/events", listEventController.streamEvents);
+router.get("/settings/aisles", aisleOrderController.showAisleOrder);
+router.post("/settings/aisles", aisleOrderController.updateAisleOrder);
+router.get("/search", searchController.showSearch);
 
+const API_PREFIX = "/api/v1";
+const listPath = `${API_PREFIX}/lists/:id(\\d+)`;
+const itemPath = `${listPath}/items/:itemId(\\d+)`;
 
+router.get(`${API_PREFIX}/csrf-token`, sessionApiController.getCsrfToken);
+router.get(`${API_PREFIX}/search`, searchApiController.search);
+router.get(`${API_PREFIX}/lists`, shoppingListApiController.getLists);
+router.post(`${API_PREFIX}/lists`, shoppingListApiController.createList);
+router.get(listPath, shoppingListApiController.getList);
+router.patch(listPath, shoppingListApiController.updateList);
+router.delete(listPath, shoppingListApiController.deactivateList);
+router.get(`${listPath}/items`, shoppingListItemApiController.getItems);
+router.post(`${listPath}/items`, shoppingListItemApiController.createItem);
+router.get(itemPath, shoppingListItemApiController.getItem);
+router.patch(itemPath, shoppingListItemApiController.updateItem);
+router.delete(itemPath, shoppingListItemApiController.deleteItem);
+router.post(`${itemPath}/collect`, shoppingListItemApiController.collectItem);
+router.post(
+  `${itemPath}/uncollect`,
+  shoppingListItemApiController.uncollectItem,
+);
+
+// Probes and metrics are answered before the session middleware, so that
+// polling them does not create a session each time.
+const monitoringRouter = createRouter();
+
+monitoringRouter.get("/healthz", monitoringController.checkHealth);
+monitoringRouter.get("/readyz", monitoringController.checkReadiness);
+monitoringRouter.get("/metrics", monitoringController.getMetrics);
+
+const monitoringMiddleware = async (context, next) => {
+  return await monitoringRouter.handle(context) ?? await next();
+};
+
+const handleRoute = async (context) => {
+  const response = await router.handle(context);
+  if (response) {
+    return response;
+  }
+
+  return apiUtils.isApiRequest(context.request)
+    ? apiUtils.apiError(404, "Not found.")
+    : await requestUtils.notFound(context);
+};
+
+// Logging and metrics wrap everything so that they also see the error page
+// status, and the security headers are added to error pages as well. The
+// user is known before the CSRF check, so that its 403 page shows them.
+const handleContext = compose([
+  loggingMiddleware,
+  metricsMiddleware,
+  securityHeadersMiddleware,
+  errorMiddleware,
+  monitoringMiddleware,
+  serveStaticMiddleware,
+  sessionMiddleware,
+  authMiddleware,
+  csrfMiddleware,
+], handleRoute);
+
+// `route` is the pattern of the route that will handle the request, if any.
 const handleRequest = async (request) => {
-  console.log("Responding with Hello world!");
-  return new Response("Hello wora ld! aa");
+  const route = monitoringRouter.findRoute(request) ??
+    router.findRoute(request);
+  return await handleContext({ request, render, route });
 };
 
-serve(handleRequest, { port: 7777 });
+// Tests import `handleRequest` and send it requests without a server.
+// Where Flyway does not run, MIGRATE_ON_START=true brings the schema up to
+// date before the first request is served.
+if (import.meta.main) {
+  if (config.migrateOnStart) {
+    await migrations.migrate();
+  }
+
+  const server = startServer(handleRequest, {
+    port: config.port,
+    hostname: config.hostname,
+    shutdownTimeoutMs: config.shutdownTimeoutMs,
+    closeStreams: listEventService.closeAll,
+    onShutdown: closePool,
+  });
+  await server.finished;
+}
+
+export { handleRequest };
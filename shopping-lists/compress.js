@@ -0,0 +1,45 @@
+import { extname, walk } from "./deps.js";
+
+// deno task compress
+// Regenerates the precompressed copies (`.br`, `.gz`) of the vendored files.
+// Needs the `brotli` and `gzip` command line tools.
+const VENDOR_DIR = "static/vendor";
+const COMPRESSED_EXTENSIONS = [".css", ".js"];
+
+const commandsFor = (path) => [
+  ["brotli", "--force", "--keep", "--best", path],
+  ["gzip", "--force", "--keep", "--best", "--no-name", path],
+];
+
+const execute = async (cmd) => {
+  const child = Deno.run({ cmd });
+  try {
+    const { success } = await child.status();
+    if (!success) {
+      throw new Error(`Command failed: ${cmd.join(" ")}`);
+    }
+  } finally {
+    child.close();
+  }
+};
+
+const run = async () => {
+  for await (const entry of walk(VENDOR_DIR, { includeDirs: false })) {
+    if (!COMPRESSED_EXTENSIONS.includes(extname(entry.path))) {
+      continue;
+    }
+
+    for (const cmd of commandsFor(entry.path)) {
+      await execute(cmd);
+    }
+
+    console.log(`Compressed ${entry.path}`);
+  }
+};
+
+try {
+  await run();
+} catch (e) {
+  console.log(e.message);
+  Deno.exit(1);
+}
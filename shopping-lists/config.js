@@ -0,0 +1,72 @@
+import {
+  integerBetween,
+  isIn,
+  maxLength,
+  required,
+  validate,
+} from "./utils/validation.js";
+
+// Every setting comes from an environment variable (see project.env). The
+// app does not start if one of them is invalid.
+
+// From the most to the least detailed.
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+const variables = {
+  PORT: "7777",
+  // Not HOSTNAME, which Docker sets to the container ID.
+  HOST: "0.0.0.0",
+  DB_POOL_SIZE: "2",
+  // Below the 10 seconds Docker waits before it kills a stopping container.
+  SHUTDOWN_TIMEOUT_MS: "8000",
+  LOG_LEVEL: "info",
+  MIGRATE_ON_START: "false",
+};
+
+const isHostname = (value) => {
+  return /^[\w.:-]+$/.test(value) ? null : "Must be a hostname or an address.";
+};
+
+const rules = {
+  PORT: [required, integerBetween(1, 65535)],
+  HOST: [required, maxLength(253), isHostname],
+  DB_POOL_SIZE: [required, integerBetween(1, 100)],
+  SHUTDOWN_TIMEOUT_MS: [required, integerBetween(0, 600000)],
+  LOG_LEVEL: [required, isIn(LOG_LEVELS)],
+  MIGRATE_ON_START: [required, isIn(["true", "false"])],
+};
+
+// Reads the settings from `env`, e.g. Deno.env, and throws an error that
+// names every invalid variable.
+const loadConfig = async (env) => {
+  const values = Object.fromEntries(
+    Object.entries(variables).map(([name, defaultValue]) => [
+      name,
+      (env.get(name) ?? defaultValue).trim(),
+    ]),
+  );
+  values.LOG_LEVEL = values.LOG_LEVEL.toLowerCase();
+
+  const { passes, errors } = await validate(values, rules);
+  if (!passes) {
+    const messages = Object.entries(errors)
+      .map(([name, fieldErrors]) => `${name}: ${fieldErrors.join(" ")}`);
+    throw new Error(`Invalid configuration:\n  ${messages.join("\n  ")}`);
+  }
+
+  // DATABASE_URL is optional: without it the database driver reads the PG*
+  // variables itself.
+  return {
+    port: Number(values.PORT),
+    hostname: values.HOST,
+    dbPoolSize: Number(values.DB_POOL_SIZE),
+    databaseUrl: env.get("DATABASE_URL") ?? null,
+    shutdownTimeoutMs: Number(values.SHUTDOWN_TIMEOUT_MS),
+    logLevel: values.LOG_LEVEL,
+    migrateOnStart: values.MIGRATE_ON_START === "true",
+  };
+};
+
+const config = await loadConfig(Deno.env);
+
+export { config, loadConfig, LOG_LEVELS };
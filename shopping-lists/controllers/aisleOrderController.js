@@ -0,0 +1,61 @@
+import * as userService from "../services/userService.js";
+import * as itemAttributes from "../utils/itemAttributes.js";
+import * as requestUtils from "../utils/requestUtils.js";
+import { numberBetween, required, validate } from "../utils/validation.js";
+
+const positionField = (category) => `position-${category}`;
+
+const positionRules = Object.fromEntries(
+  itemAttributes.CATEGORIES.map((category) => [
+    positionField(category),
+    [required, numberBetween(1, 100)],
+  ]),
+);
+
+const showAisleOrder = async ({ render, user, requestId }) => {
+  const categories = itemAttributes.orderCategories(
+    await userService.findAisleOrder(user.id, { requestId }),
+  );
+  const positions = Object.fromEntries(
+    categories.map((category, index) => [positionField(category), index + 1]),
+  );
+
+  return await render("aisles.eta", { categories, positions, errors: {} });
+};
+
+// The form holds a position for every category; the categories are stored
+// sorted by those positions, ties keeping their current order.
+const updateAisleOrder = async (
+  { readFormData, render, user, requestId },
+) => {
+  const formData = await readFormData();
+  const categories = itemAttributes.orderCategories(
+    await userService.findAisleOrder(user.id, { requestId }),
+  );
+  const positions = Object.fromEntries(
+    categories.map((category) => [
+      positionField(category),
+      (formData.get(positionField(category)) ?? "").trim(),
+    ]),
+  );
+
+  const { passes, errors } = await validate(positions, positionRules);
+  if (!passes) {
+    return await render("aisles.eta", { categories, positions, errors });
+  }
+
+  const aisleOrder = categories
+    .map((category, index) => ({
+      category,
+      index,
+      position: Number(positions[positionField(category)]),
+    }))
+    .sort((a, b) => a.position - b.position || a.index - b.index)
+    .map(({ category }) => category);
+
+  await userService.setAisleOrder(user.id, aisleOrder, { requestId });
+
+  return requestUtils.redirectTo("/settings/aisles");
+};
+
+export { showAisleOrder, updateAisleOrder };
@@ -0,0 +1,31 @@
+import * as searchService from "../../services/searchService.js";
+import * as apiUtils from "../../utils/apiUtils.js";
+import { validate } from "../../utils/validation.js";
+import { searchRules } from "../../utils/validationRules.js";
+
+// `highlights` contain HTML with the matches wrapped in <mark> elements; the
+// rest of the text is escaped.
+const search = async ({ request, user, requestId }) => {
+  const url = new URL(request.url);
+  const pagination = apiUtils.parsePagination(url);
+  const q = (url.searchParams.get("q") ?? "").trim();
+  const { errors } = await validate({ q }, searchRules);
+  if (pagination.errors || Object.keys(errors).length > 0) {
+    return apiUtils.apiError(400, "Invalid query parameters.", {
+      ...errors,
+      ...pagination.errors,
+    });
+  }
+
+  const results = await searchService.search(
+    user.id,
+    q,
+    { limit: pagination.limit, offset: pagination.offset },
+    { requestId },
+  );
+  const total = await searchService.count(user.id, q, { requestId });
+
+  return apiUtils.paginated(results, pagination, total);
+};
+
+export { search };
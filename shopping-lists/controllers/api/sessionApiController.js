@@ -0,0 +1,10 @@
+import * as apiUtils from "../../utils/apiUtils.js";
+
+// API clients send this token in the X-CSRF-Token header of every request
+// that changes data, including the login form post. `userId` is null before
+// logging in; the service worker compares it to the user of queued changes.
+const getCsrfToken = ({ getCsrfToken, user }) => {
+  return apiUtils.json({ token: getCsrfToken(), userId: user?.id ?? null });
+};
+
+export { getCsrfToken };
@@ -0,0 +1,183 @@
+import * as shoppingListService from "../../services/shoppingListService.js";
+import * as apiUtils from "../../utils/apiUtils.js";
+import * as permissions from "../../utils/permissions.js";
+import { isBoolean, validate } from "../../utils/validation.js";
+import { listRules } from "../../utils/validationRules.js";
+
+const listUpdateRules = { ...listRules, active: [isBoolean] };
+
+// Finds the list of the route (`params.id`) if the user is a member and
+// checks that their role allows the action. Changes are only allowed to
+// active lists.
+const findListWithPermission = async (
+  context,
+  action,
+  { requireActive = false } = {},
+) => {
+  const { params, user, requestId } = context;
+  const list = await shoppingListService.findById(
+    params.id,
+    user.id,
+    { requestId },
+  );
+  if (!list) {
+    return { response: apiUtils.apiError(404, "Shopping list not found.") };
+  }
+
+  if (!permissions.can(list.role, action)) {
+    return {
+      response: apiUtils.apiError(403, "Forbidden.", { role: list.role }),
+    };
+  }
+
+  if (requireActive && !list.active) {
+    return {
+      response: apiUtils.apiError(409, "Shopping list is not active."),
+    };
+  }
+
+  return { list };
+};
+
+// For partial updates only the fields present in the body are validated;
+// those keep all their rules, so e.g. an empty name is still rejected.
+const rulesForGivenFields = (body, rules) => {
+  return Object.fromEntries(
+    Object.entries(rules).filter(([field]) => field in body),
+  );
+};
+
+const getLists = async ({ request, user, requestId }) => {
+  const url = new URL(request.url);
+  const pagination = apiUtils.parsePagination(url);
+  if (pagination.errors) {
+    return apiUtils.apiError(
+      400,
+      "Invalid query parameters.",
+      pagination.errors,
+    );
+  }
+
+  const activeParam = url.searchParams.get("active");
+  if (activeParam !== null && !["true", "false"].includes(activeParam)) {
+    return apiUtils.apiError(400, "Invalid query parameters.", {
+      active: ["active must be true or false."],
+    });
+  }
+
+  const active = activeParam === null ? null : activeParam === "true";
+  const lists = await shoppingListService.findAll(
+    user.id,
+    { active, limit: pagination.limit, offset: pagination.offset },
+    { requestId },
+  );
+  const total = await shoppingListService.countAll(
+    user.id,
+    { active },
+    { requestId },
+  );
+
+  return apiUtils.paginated(lists, pagination, total);
+};
+
+const createList = async ({ request, user, requestId }) => {
+  const body = await apiUtils.readJsonBody(request);
+  if (!body) {
+    return apiUtils.apiError(400, "Request body must be a JSON object.");
+  }
+
+  const { passes, errors } = await validate(body, listRules);
+  if (!passes) {
+    return apiUtils.apiError(400, "Validation failed.", errors);
+  }
+
+  const list = await shoppingListService.create(
+    user.id,
+    body.name.trim(),
+    { requestId },
+  );
+
+  return apiUtils.json(list, 201);
+};
+
+const getList = async (context) => {
+  const { list, response } = await findListWithPermission(context, "view");
+  if (!list) {
+    return response;
+  }
+
+  return apiUtils.json(list);
+};
+
+// Renaming needs edit rights; (de)activating the list is for the owner only.
+const updateList = async (context) => {
+  const { request, user, requestId } = context;
+  const body = await apiUtils.readJsonBody(request);
+  if (!body) {
+    return apiUtils.apiError(400, "Request body must be a JSON object.");
+  }
+
+  const { errors } = await validate(
+    body,
+    rulesForGivenFields(body, listUpdateRules),
+  );
+  if (!("name" in body) && !("active" in body)) {
+    errors.body = ["Provide name and/or active."];
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return apiUtils.apiError(400, "Validation failed.", errors);
+  }
+
+  const { list, response } = await findListWithPermission(
+    context,
+    "active" in body ? "manage" : "edit",
+  );
+  if (!list) {
+    return response;
+  }
+
+  if ("name" in body) {
+    await shoppingListService.rename(
+      list.id,
+      body.name.trim(),
+      user.id,
+      { requestId },
+    );
+  }
+
+  if ("active" in body) {
+    await shoppingListService.setActive(
+      list.id,
+      body.active,
+      user.id,
+      { requestId },
+    );
+  }
+
+  return apiUtils.json(
+    await shoppingListService.findById(list.id, user.id, { requestId }),
+  );
+};
+
+const deactivateList = async (context) => {
+  const { user, requestId } = context;
+  const { list, response } = await findListWithPermission(context, "manage");
+  if (!list) {
+    return response;
+  }
+
+  await shoppingListService.setActive(list.id, false, user.id, { requestId });
+
+  return apiUtils.noContent();
+};
+
+export {
+  createList,
+  deactivateList,
+  findListWithPermission,
+  getList,
+  getLists,
+  rulesForGivenFields,
+  updateList,
+};
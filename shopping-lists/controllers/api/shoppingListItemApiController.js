@@ -0,0 +1,266 @@
+import * as shoppingListItemService from "../../services/shoppingListItemService.js";
+import * as apiUtils from "../../utils/apiUtils.js";
+import {
+  isBoolean,
+  isNumber,
+  isString,
+  isTimestamp,
+  maxLength,
+  validate,
+} from "../../utils/validation.js";
+import { itemRules } from "../../utils/validationRules.js";
+import {
+  findListWithPermission,
+  rulesForGivenFields,
+} from "./shoppingListApiController.js";
+
+// JSON has numbers, so quantities given as text are not accepted.
+const apiItemRules = {
+  ...itemRules,
+  quantity: [isNumber, ...itemRules.quantity],
+};
+const itemUpdateRules = { ...apiItemRules, collected: [isBoolean] };
+const UPDATABLE_FIELDS = Object.keys(itemUpdateRules);
+// Changes replayed by the offline queue carry the id the client gave them,
+// so that a change sent twice is applied once.
+const changeIdRules = [isString, maxLength(100)];
+const itemCreateRules = { ...apiItemRules, changeId: changeIdRules };
+const collectRules = { changedAt: [isTimestamp], changeId: changeIdRules };
+
+const itemNotFound = () => {
+  return apiUtils.apiError(404, "Shopping list item not found.");
+};
+
+const getItems = async (context) => {
+  const { request, requestId } = context;
+  const pagination = apiUtils.parsePagination(new URL(request.url));
+  if (pagination.errors) {
+    return apiUtils.apiError(
+      400,
+      "Invalid query parameters.",
+      pagination.errors,
+    );
+  }
+
+  const { list, response } = await findListWithPermission(context, "view");
+  if (!list) {
+    return response;
+  }
+
+  const items = await shoppingListItemService.findAllByListId(
+    list.id,
+    { limit: pagination.limit, offset: pagination.offset },
+    { requestId },
+  );
+  const total = await shoppingListItemService.countByListId(
+    list.id,
+    { requestId },
+  );
+
+  return apiUtils.paginated(items, pagination, total);
+};
+
+const createItem = async (context) => {
+  const { request, user, requestId } = context;
+  const body = await apiUtils.readJsonBody(request);
+  if (!body) {
+    return apiUtils.apiError(400, "Request body must be a JSON object.");
+  }
+
+  const { passes, errors } = await validate(body, itemCreateRules);
+  if (!passes) {
+    return apiUtils.apiError(400, "Validation failed.", errors);
+  }
+
+  const { list, response } = await findListWithPermission(
+    context,
+    "edit",
+    { requireActive: true },
+  );
+  if (!list) {
+    return response;
+  }
+
+  const item = await shoppingListItemService.create(
+    list.id,
+    {
+      name: body.name.trim(),
+      quantity: body.quantity,
+      unit: body.unit,
+      category: body.category,
+      changeId: body.changeId,
+    },
+    user.id,
+    { requestId },
+  );
+
+  return item ? apiUtils.json(item, 201) : itemNotFound();
+};
+
+const getItem = async (context) => {
+  const { params, requestId } = context;
+  const { list, response } = await findListWithPermission(context, "view");
+  if (!list) {
+    return response;
+  }
+
+  const item = await shoppingListItemService.findById(
+    list.id,
+    params.itemId,
+    { requestId },
+  );
+
+  return item ? apiUtils.json(item) : itemNotFound();
+};
+
+const updateItem = async (context) => {
+  const { request, params, user, requestId } = context;
+  const body = await apiUtils.readJsonBody(request);
+  if (!body) {
+    return apiUtils.apiError(400, "Request body must be a JSON object.");
+  }
+
+  const { errors } = await validate(
+    body,
+    rulesForGivenFields(body, itemUpdateRules),
+  );
+  if (!UPDATABLE_FIELDS.some((field) => field in body)) {
+    errors.body = [`Provide at least one of ${UPDATABLE_FIELDS.join(", ")}.`];
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return apiUtils.apiError(400, "Validation failed.", errors);
+  }
+
+  const { list, response } = await findListWithPermission(
+    context,
+    "edit",
+    { requireActive: true },
+  );
+  if (!list) {
+    return response;
+  }
+
+  let item = await shoppingListItemService.findById(
+    list.id,
+    params.itemId,
+    { requestId },
+  );
+  if (!item) {
+    return itemNotFound();
+  }
+
+  if (["name", "quantity", "unit", "category"].some((field) => field in body)) {
+    item = await shoppingListItemService.update(
+      list.id,
+      item.id,
+      {
+        name: body.name?.trim(),
+        quantity: body.quantity,
+        unit: body.unit,
+        category: body.category,
+      },
+      user.id,
+      { requestId },
+    );
+  }
+
+  if ("collected" in body) {
+    item = await shoppingListItemService.setCollected(
+      list.id,
+      item.id,
+      body.collected,
+      user.id,
+      {},
+      { requestId },
+    );
+  }
+
+  return apiUtils.json(item);
+};
+
+// The body is optional. Changes replayed by the offline queue send the time
+// they were made as `changedAt`; if the item has changed after that, the
+// change is dropped with 409 and the current item. A change whose
+// `changeId` has been applied already just returns the item.
+const setCollected = (collected) => async (context) => {
+  const { request, params, user, requestId } = context;
+  const body = request.body ? await apiUtils.readJsonBody(request) : {};
+  if (!body) {
+    return apiUtils.apiError(400, "Request body must be a JSON object.");
+  }
+
+  const { passes, errors } = await validate(body, collectRules);
+  if (!passes) {
+    return apiUtils.apiError(400, "Validation failed.", errors);
+  }
+
+  const { list, response } = await findListWithPermission(
+    context,
+    "edit",
+    { requireActive: true },
+  );
+  if (!list) {
+    return response;
+  }
+
+  // Times in the future, e.g. from a clock that is ahead, count as now, so
+  // that they cannot block later changes.
+  const changedAt = body.changedAt
+    ? new Date(Math.min(Date.parse(body.changedAt), Date.now()))
+    : null;
+  const item = await shoppingListItemService.setCollected(
+    list.id,
+    params.itemId,
+    collected,
+    user.id,
+    { changedAt, changeId: body.changeId },
+    { requestId },
+  );
+  if (item) {
+    return apiUtils.json(item);
+  }
+
+  const current = await shoppingListItemService.findById(
+    list.id,
+    params.itemId,
+    { requestId },
+  );
+  return current
+    ? apiUtils.apiError(409, "The item has changed since.", { item: current })
+    : itemNotFound();
+};
+
+const collectItem = setCollected(true);
+const uncollectItem = setCollected(false);
+
+const deleteItem = async (context) => {
+  const { params, user, requestId } = context;
+  const { list, response } = await findListWithPermission(
+    context,
+    "edit",
+    { requireActive: true },
+  );
+  if (!list) {
+    return response;
+  }
+
+  const item = await shoppingListItemService.deleteById(
+    list.id,
+    params.itemId,
+    user.id,
+    { requestId },
+  );
+
+  return item ? apiUtils.noContent() : itemNotFound();
+};
+
+export {
+  collectItem,
+  createItem,
+  deleteItem,
+  getItem,
+  getItems,
+  uncollectItem,
+  updateItem,
+};
@@ -0,0 +1,62 @@
+import * as listEventService from "../services/listEventService.js";
+import { findListWithPermission } from "./shoppingListController.js";
+
+const KEEP_ALIVE_INTERVAL_MS = 25000;
+
+const encoder = new TextEncoder();
+
+// Access is checked when the stream opens. The services end it when the
+// user loses access, see listEventService.closeFor; the browser then
+// reconnects and is refused.
+const streamEvents = async (context) => {
+  const { user } = context;
+  const { list, response } = await findListWithPermission(context, "view");
+  if (!list) {
+    return response;
+  }
+
+  let unsubscribe;
+  let keepAlive;
+
+  const body = new ReadableStream({
+    start(controller) {
+      const send = (chunk) => controller.enqueue(encoder.encode(chunk));
+
+      unsubscribe = listEventService.subscribe(
+        list.id,
+        user.id,
+        ({ type, data }) => {
+          send(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+        },
+        () => {
+          clearInterval(keepAlive);
+          try {
+            controller.close();
+          } catch (_e) {
+            // The client has gone already.
+          }
+        },
+      );
+      // Comment lines keep proxies from closing an idle connection.
+      keepAlive = setInterval(
+        () => send(": keep-alive\n\n"),
+        KEEP_ALIVE_INTERVAL_MS,
+      );
+
+      send("retry: 3000\n\n");
+    },
+    cancel() {
+      clearInterval(keepAlive);
+      unsubscribe();
+    },
+  });
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+    },
+  });
+};
+
+export { streamEvents };
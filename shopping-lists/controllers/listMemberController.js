@@ -0,0 +1,74 @@
+import * as listMemberService from "../services/listMemberService.js";
+import * as userService from "../services/userService.js";
+import * as permissions from "../utils/permissions.js";
+import * as requestUtils from "../utils/requestUtils.js";
+import { isEmail, isIn, required, validate } from "../utils/validation.js";
+import {
+  findListWithPermission,
+  renderList,
+} from "./shoppingListController.js";
+
+const inviteRules = {
+  email: [required, isEmail],
+  role: [required, isIn(permissions.INVITABLE_ROLES)],
+};
+
+const inviteMember = async (context) => {
+  const { readFormData, user, requestId } = context;
+  const { list, response } = await findListWithPermission(context, "manage");
+  if (!list) {
+    return response;
+  }
+
+  const formData = await readFormData();
+  const inviteForm = {
+    email: (formData.get("email") ?? "").trim().toLowerCase(),
+    role: formData.get("role"),
+  };
+
+  const { errors } = await validate(inviteForm, inviteRules);
+  if (!errors.email) {
+    const invitee = await userService.findUserByEmail(
+      inviteForm.email,
+      { requestId },
+    );
+    if (!invitee) {
+      errors.email = ["No user with that email address exists."];
+    } else if (invitee.id === user.id) {
+      errors.email = ["You are already the owner of this list."];
+    } else if (!errors.role) {
+      const updated = await listMemberService.addOrUpdate(
+        list.id,
+        invitee.id,
+        inviteForm.role,
+        { requestId },
+      );
+      if (!updated) {
+        errors.email = ["The owner's role cannot be changed."];
+      }
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return await renderList(context, list, {
+      inviteForm,
+      inviteErrors: errors,
+    });
+  }
+
+  return requestUtils.redirectTo(`/lists/${list.id}`);
+};
+
+const removeMember = async (context) => {
+  const { params, requestId } = context;
+  const { list, response } = await findListWithPermission(context, "manage");
+  if (!list) {
+    return response;
+  }
+
+  await listMemberService.remove(list.id, params.userId, { requestId });
+
+  return requestUtils.redirectTo(`/lists/${list.id}`);
+};
+
+export { inviteMember, removeMember };
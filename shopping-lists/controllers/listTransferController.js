@@ -0,0 +1,225 @@
+import * as shoppingListItemService from "../services/shoppingListItemService.js";
+import * as shoppingListService from "../services/shoppingListService.js";
+import * as csv from "../utils/csv.js";
+import * as itemAttributes from "../utils/itemAttributes.js";
+import * as requestUtils from "../utils/requestUtils.js";
+import { isBoolean, validate } from "../utils/validation.js";
+import { itemRules, listRules } from "../utils/validationRules.js";
+import { findAnyListWithPermission } from "./shoppingListController.js";
+
+const COLUMNS = ["name", "quantity", "unit", "category", "collected"];
+const MAX_IMPORT_BYTES = 1024 * 1024;
+const MAX_IMPORT_ITEMS = 1000;
+
+const importItemRules = { ...itemRules, collected: [isBoolean] };
+
+const fileNameFor = (list, format) => {
+  const base = list.name.toLowerCase().replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return `${base || "shopping-list"}.${format}`;
+};
+
+// Deactivated lists can be exported too, e.g. to keep a copy before
+// deleting them.
+const exportList = async (context) => {
+  const { request, requestId } = context;
+  const { list, response } = await findAnyListWithPermission(context, "view");
+  if (!list) {
+    return response;
+  }
+
+  const format = new URL(request.url).searchParams.get("format") ?? "csv";
+  if (!["csv", "json"].includes(format)) {
+    return await requestUtils.badRequest(context);
+  }
+
+  const listItems = await shoppingListItemService.findAllByListId(
+    list.id,
+    {},
+    { requestId },
+  );
+  const items = listItems.map((item) =>
+    Object.fromEntries(COLUMNS.map((key) => [key, item[key]]))
+  );
+
+  const body = format === "csv"
+    ? csv.stringify([
+      COLUMNS,
+      ...items.map((item) => COLUMNS.map((key) => item[key])),
+    ])
+    : JSON.stringify({ name: list.name, items }, null, 2);
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": format === "csv"
+        ? "text/csv; charset=UTF-8"
+        : "application/json; charset=UTF-8",
+      "Content-Disposition": `attachment; filename="${
+        fileNameFor(list, format)
+      }"`,
+    },
+  });
+};
+
+// Turns the CSV into item objects. Empty cells are left out so that the
+// defaults apply, and "true"/"false" become booleans.
+const readCsvItems = (text) => {
+  const records = csv.parse(text);
+  if (records.length === 0) {
+    return { errors: ["The file is empty."] };
+  }
+
+  const [header, ...rows] = records;
+  const columns = header.fields.map((field) => field.trim().toLowerCase());
+  const unknown = columns.filter((column) => !COLUMNS.includes(column));
+  if (!columns.includes("name") || unknown.length > 0) {
+    const optionalColumns = COLUMNS.slice(1).join(", ");
+    return {
+      errors: [
+        `Line ${header.line}: the header needs a name column and may only ` +
+        `add ${optionalColumns}.`,
+      ],
+    };
+  }
+
+  const items = [];
+  for (const { line, fields } of rows) {
+    if (fields.length !== columns.length) {
+      items.push({
+        label: `Line ${line}`,
+        error: `expected ${columns.length} fields, got ${fields.length}.`,
+      });
+      continue;
+    }
+
+    const item = {};
+    columns.forEach((column, index) => {
+      const value = fields[index].trim();
+      if (value !== "") {
+        const isFlag = column === "collected" &&
+          ["true", "false"].includes(value);
+        item[column] = isFlag ? value === "true" : value;
+      }
+    });
+    items.push({ label: `Line ${line}`, item });
+  }
+
+  return { errors: [], items };
+};
+
+const readJsonItems = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (_e) {
+    return { errors: ["The file is not valid JSON."] };
+  }
+
+  if (!data || typeof data !== "object" || !Array.isArray(data.items)) {
+    return { errors: ['The JSON must be an object with an "items" array.'] };
+  }
+
+  return {
+    name: typeof data.name === "string" ? data.name : undefined,
+    errors: [],
+    items: data.items.map((item, index) => ({
+      label: `Item ${index + 1}`,
+      item: item && typeof item === "object" ? item : {},
+    })),
+  };
+};
+
+const toItem = (item) => {
+  return {
+    name: item.name.trim(),
+    quantity: Number(item.quantity ?? 1),
+    unit: item.unit ?? itemAttributes.DEFAULT_UNIT,
+    category: item.category ?? itemAttributes.DEFAULT_CATEGORY,
+    collected: item.collected ?? false,
+  };
+};
+
+// Validates every item and reports the problems per line (CSV) or per item
+// (JSON), so that the whole file can be fixed at once.
+const readImportFile = async (file) => {
+  const text = (await file.text()).replace(/^\uFEFF/, "");
+  const isJson = file.name.toLowerCase().endsWith(".json") ||
+    text.trimStart().startsWith("{");
+
+  let read;
+  try {
+    read = isJson ? readJsonItems(text) : readCsvItems(text);
+  } catch (e) {
+    return { errors: [e.message] };
+  }
+
+  const { name, items = [] } = read;
+  const errors = [...read.errors];
+  if (items.length > MAX_IMPORT_ITEMS) {
+    return {
+      errors: [`A list can have at most ${MAX_IMPORT_ITEMS} items.`],
+    };
+  }
+
+  for (const { label, item, error } of items) {
+    if (error) {
+      errors.push(`${label}: ${error}`);
+      continue;
+    }
+
+    const result = await validate(item, importItemRules);
+    for (const [field, messages] of Object.entries(result.errors)) {
+      errors.push(`${label}: ${field}: ${messages.join(" ")}`);
+    }
+  }
+
+  return { name, errors, items: items.map(({ item }) => item) };
+};
+
+const showImportForm = async ({ render }) => {
+  return await render("import.eta", { name: "", errors: [] });
+};
+
+const importList = async ({ readFormData, render, user, requestId }) => {
+  const formData = await readFormData();
+  const file = formData.get("file");
+  let name = (formData.get("name") ?? "").trim();
+
+  if (!(file instanceof File) || file.size === 0) {
+    return await render("import.eta", {
+      name,
+      errors: ["Please choose a CSV or JSON file."],
+    });
+  }
+
+  if (file.size > MAX_IMPORT_BYTES) {
+    return await render("import.eta", {
+      name,
+      errors: ["The file must be at most 1 MB."],
+    });
+  }
+
+  const imported = await readImportFile(file);
+  name = name || imported.name?.trim() ||
+    file.name.replace(/\.(csv|json)$/i, "");
+
+  const { errors: nameErrors } = await validate({ name }, listRules);
+  const errors = [
+    ...(nameErrors.name ?? []).map((message) => `List name: ${message}`),
+    ...imported.errors,
+  ];
+  if (errors.length > 0) {
+    return await render("import.eta", { name, errors });
+  }
+
+  const list = await shoppingListService.createWithItems(
+    user.id,
+    name,
+    imported.items.map(toItem),
+    { requestId },
+  );
+
+  return requestUtils.redirectTo(`/lists/${list.id}`);
+};
+
+export { exportList, importList, showImportForm };
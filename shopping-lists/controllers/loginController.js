@@ -0,0 +1,54 @@
+import { bcrypt } from "../deps.js";
+import * as listEventService from "../services/listEventService.js";
+import * as userService from "../services/userService.js";
+import * as requestUtils from "../utils/requestUtils.js";
+import { required, validate } from "../utils/validation.js";
+
+const loginRules = {
+  email: [required],
+  password: [required],
+};
+
+const showLoginForm = async ({ render }) => {
+  return await render("login.eta", { email: "", errors: {} });
+};
+
+const processLogin = async (
+  { readFormData, render, session, requestId },
+) => {
+  const formData = await readFormData();
+  const email = (formData.get("email") ?? "").trim().toLowerCase();
+  const password = formData.get("password") ?? "";
+
+  const { passes, errors } = await validate({ email, password }, loginRules);
+  if (!passes) {
+    return await render("login.eta", { email, errors });
+  }
+
+  const user = await userService.findUserByEmail(email, { requestId });
+  const passwordMatches = user &&
+    await bcrypt.compare(password, user.password);
+  if (!passwordMatches) {
+    return await render("login.eta", {
+      email,
+      errors: { form: ["Invalid email or password."] },
+    });
+  }
+
+  session.regenerate();
+  session.set("user", { id: user.id, email: user.email });
+
+  return requestUtils.redirectTo("/lists");
+};
+
+const logout = ({ session, user }) => {
+  if (user) {
+    listEventService.closeFor(null, user.id);
+  }
+  session.delete("user");
+  session.regenerate();
+
+  return requestUtils.redirectTo("/");
+};
+
+export { logout, processLogin, showLoginForm };
@@ -1,5 +1,12 @@
-const showMain = ({ render }) => {
-    render("main.eta");
+import * as statisticsService from "../services/statisticsService.js";
+
+const showMain = async ({ render, requestId }) => {
+  const data = {
+    listCount: await statisticsService.countLists({ requestId }),
+    itemCount: await statisticsService.countItems({ requestId }),
   };
-  
-  export { showMain };
\ No newline at end of file
+
+  return await render("main.eta", data);
+};
+
+export { showMain };
@@ -0,0 +1,97 @@
+import { poolStats } from "../database/database.js";
+import * as migrations from "../database/migrations.js";
+import * as statisticsService from "../services/statisticsService.js";
+import * as apiUtils from "../utils/apiUtils.js";
+import * as logger from "../utils/logger.js";
+import { createGauge, render } from "../utils/metrics.js";
+
+const READINESS_TIMEOUT_MS = 5000;
+
+createGauge(
+  "db_pool_size",
+  "Connections the database pool may open.",
+  () => poolStats().size,
+);
+createGauge(
+  "db_pool_connections_in_use",
+  "Database connections currently taken from the pool.",
+  () => {
+    const { size, available } = poolStats();
+    return size - available;
+  },
+);
+createGauge(
+  "shopping_lists_active",
+  "Shopping lists that have not been deactivated.",
+  statisticsService.countActiveLists,
+);
+createGauge(
+  "shopping_list_items_uncollected",
+  "Items on active shopping lists that have not been collected.",
+  statisticsService.countUncollectedItems,
+);
+
+// The process is up and serving requests.
+const checkHealth = () => {
+  return apiUtils.json({ status: "ok" });
+};
+
+const withTimeout = async (promise, ms) => {
+  let timer;
+  const expired = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`No answer in ${ms} ms.`)), ms);
+  });
+
+  try {
+    return await Promise.race([promise, expired]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// The migration files do not change while the app runs, so they are read
+// and checksummed once rather than on every probe. A failed read is retried.
+let migrationFiles = null;
+const loadMigrationFiles = () => {
+  migrationFiles ??= migrations.loadMigrations().catch((e) => {
+    migrationFiles = null;
+    throw e;
+  });
+  return migrationFiles;
+};
+
+// Ready once the database answers and every migration in flyway/sql has
+// been applied unchanged; validating the migrations queries the database.
+// The probe needs no login, so why the database failed is only logged.
+const checkReadiness = async ({ requestId }) => {
+  let problems;
+  try {
+    problems = await withTimeout(
+      loadMigrationFiles().then((files) =>
+        migrations.validate({ migrations: files, scope: { requestId } })
+      ),
+      READINESS_TIMEOUT_MS,
+    );
+  } catch (e) {
+    logger.error("Checking readiness failed", {
+      requestId,
+      error: logger.describeError(e),
+    });
+    problems = ["Database unavailable."];
+  }
+
+  if (problems.length > 0) {
+    logger.warn("Not ready", { requestId, problems });
+    return apiUtils.json({ status: "unavailable", problems }, 503);
+  }
+
+  return apiUtils.json({ status: "ok" });
+};
+
+const getMetrics = async ({ requestId }) => {
+  return new Response(await render({ requestId }), {
+    headers: { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" },
+  });
+};
+
+export { checkHealth, checkReadiness, getMetrics };
@@ -0,0 +1,82 @@
+import { join } from "../deps.js";
+import { assetUrl } from "../utils/assets.js";
+
+// Everything the cached list pages need besides the pages themselves.
+const PRECACHED_ASSETS = [
+  "css/styles.css",
+  "images/favicon.svg",
+  "js/listEvents.js",
+  "js/offline.js",
+  "js/offlineQueue.js",
+  "vendor/bootstrap/bootstrap.bundle.min.js",
+  "vendor/bootstrap/bootstrap.min.css",
+  "vendor/jquery/jquery.slim.min.js",
+];
+
+// The service worker refers to the assets by their hashed URLs, so its
+// script changes whenever an asset does, which makes browsers install the
+// new version. The cache name changes with it so old assets are dropped.
+const buildServiceWorker = async () => {
+  const precacheUrls = PRECACHED_ASSETS.map(assetUrl);
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(precacheUrls.join("\n")),
+  );
+  const version = Array.from(
+    new Uint8Array(digest).slice(0, 8),
+    (byte) => byte.toString(16).padStart(2, "0"),
+  ).join("");
+
+  const source = await Deno.readTextFile(
+    join(Deno.cwd(), "static", "js", "serviceWorker.js"),
+  );
+
+  return [
+    `const CACHE_NAME = "shopping-lists-${version}";`,
+    `const PRECACHE_URLS = ${JSON.stringify(precacheUrls)};`,
+    `const QUEUE_SCRIPT_URL = "${assetUrl("js/offlineQueue.js")}";`,
+    source,
+  ].join("\n");
+};
+
+const serviceWorker = await buildServiceWorker();
+
+// Browsers check for a new service worker on navigation; it must not be
+// served from the HTTP cache or updates would be delayed.
+const getServiceWorker = () => {
+  return new Response(serviceWorker, {
+    headers: {
+      "Content-Type": "text/javascript; charset=UTF-8",
+      "Cache-Control": "no-cache",
+    },
+  });
+};
+
+const getManifest = () => {
+  const manifest = {
+    name: "Shared shopping lists",
+    short_name: "Shopping",
+    start_url: "/lists",
+    scope: "/",
+    display: "standalone",
+    background_color: "#ffffff",
+    theme_color: "#343a40",
+    icons: [
+      {
+        src: assetUrl("images/favicon.svg"),
+        sizes: "any",
+        type: "image/svg+xml",
+      },
+    ],
+  };
+
+  return new Response(JSON.stringify(manifest), {
+    headers: { "Content-Type": "application/manifest+json" },
+  });
+};
+
+const showOffline = async ({ render }) => {
+  return await render("offline.eta");
+};
+
+export { getManifest, getServiceWorker, showOffline };
@@ -0,0 +1,50 @@
+import { bcrypt } from "../deps.js";
+import * as userService from "../services/userService.js";
+import * as requestUtils from "../utils/requestUtils.js";
+import {
+  isEmail,
+  maxBytes,
+  maxLength,
+  minLength,
+  required,
+  validate,
+} from "../utils/validation.js";
+
+// `scope` names the request for the database, see services.
+const emailIsAvailable = (scope) => async (email) => {
+  return await userService.findUserByEmail(email, scope)
+    ? "The email address is already reserved."
+    : null;
+};
+
+// bcrypt only uses the first 72 bytes of a password.
+const registrationRules = (scope) => {
+  return {
+    email: [required, isEmail, maxLength(255), emailIsAvailable(scope)],
+    password: [required, minLength(8), maxBytes(72)],
+  };
+};
+
+const showRegistrationForm = async ({ render }) => {
+  return await render("registration.eta", { email: "", errors: {} });
+};
+
+const registerUser = async ({ readFormData, render, requestId }) => {
+  const formData = await readFormData();
+  const email = (formData.get("email") ?? "").trim().toLowerCase();
+  const password = formData.get("password") ?? "";
+
+  const { passes, errors } = await validate(
+    { email, password },
+    registrationRules({ requestId }),
+  );
+  if (!passes) {
+    return await render("registration.eta", { email, errors });
+  }
+
+  await userService.addUser(email, await bcrypt.hash(password), { requestId });
+
+  return requestUtils.redirectTo("/auth/login");
+};
+
+export { registerUser, showRegistrationForm };
@@ -0,0 +1,43 @@
+import * as searchService from "../services/searchService.js";
+import * as requestUtils from "../utils/requestUtils.js";
+import { validate } from "../utils/validation.js";
+import { searchRules } from "../utils/validationRules.js";
+
+const PAGE_SIZE = 20;
+
+const showSearch = async (context) => {
+  const { request, render, user, requestId } = context;
+  const url = new URL(request.url);
+  const q = (url.searchParams.get("q") ?? "").trim();
+  const page = requestUtils.parsePage(url.searchParams.get("page"));
+  if (Number.isNaN(page)) {
+    return await requestUtils.badRequest(context);
+  }
+
+  const data = { q, page, results: [], total: 0, errors: {} };
+  if (q === "") {
+    return await render("search.eta", data);
+  }
+
+  const { passes, errors } = await validate({ q }, searchRules);
+  if (!passes) {
+    return await render("search.eta", { ...data, errors });
+  }
+
+  const total = await searchService.count(user.id, q, { requestId });
+  const results = await searchService.search(
+    user.id,
+    q,
+    { limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE },
+    { requestId },
+  );
+
+  return await render("search.eta", {
+    ...data,
+    results,
+    total,
+    hasNext: page < requestUtils.MAX_PAGE && page * PAGE_SIZE < total,
+  });
+};
+
+export { showSearch };
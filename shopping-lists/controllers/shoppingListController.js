@@ -0,0 +1,341 @@
+import * as activityService from "../services/activityService.js";
+import * as listMemberService from "../services/listMemberService.js";
+import * as shoppingListItemService from "../services/shoppingListItemService.js";
+import * as shoppingListService from "../services/shoppingListService.js";
+import * as userService from "../services/userService.js";
+import * as itemAttributes from "../utils/itemAttributes.js";
+import * as permissions from "../utils/permissions.js";
+import * as requestUtils from "../utils/requestUtils.js";
+import { maxLength, required, validate } from "../utils/validation.js";
+import { listRules, MAX_NAME_LENGTH } from "../utils/validationRules.js";
+
+const HISTORY_PAGE_SIZE = 10;
+
+// The name of a copy defaults to the name of its source list.
+const copyRules = {
+  source: [required],
+  name: [maxLength(MAX_NAME_LENGTH)],
+};
+
+const renderLists = async (context, data = {}) => {
+  const { render, user, requestId } = context;
+  return await render("lists.eta", {
+    lists: await shoppingListService.findAllActiveLists(user.id, { requestId }),
+    reusableLists: await shoppingListService.findReusable(
+      user.id,
+      { requestId },
+    ),
+    name: "",
+    errors: {},
+    copyForm: { source: "", name: "" },
+    copyErrors: {},
+    ...data,
+  });
+};
+
+const addList = async (context) => {
+  const { user, requestId } = context;
+  const formData = await context.readFormData();
+  const name = (formData.get("name") ?? "").trim();
+
+  const { passes, errors } = await validate({ name }, listRules);
+  if (!passes) {
+    return await renderLists(context, { name, errors });
+  }
+
+  await shoppingListService.create(user.id, name, { requestId });
+
+  return requestUtils.redirectTo("/lists");
+};
+
+// Starts a new list from a template or any list the user can see, including
+// deactivated ones.
+const copyList = async (context) => {
+  const { user, requestId } = context;
+  const formData = await context.readFormData();
+  const copyForm = {
+    source: formData.get("source") ?? "",
+    name: (formData.get("name") ?? "").trim(),
+  };
+
+  const { errors } = await validate(copyForm, copyRules);
+  let source;
+  if (!errors.source) {
+    source = requestUtils.isId(copyForm.source)
+      ? await shoppingListService.findById(
+        copyForm.source,
+        user.id,
+        { requestId },
+      )
+      : undefined;
+    if (!source || !permissions.can(source.role, "view")) {
+      errors.source = ["Choose one of your lists."];
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return await renderLists(context, { copyForm, copyErrors: errors });
+  }
+
+  const list = await shoppingListService.copy(
+    user.id,
+    source.id,
+    copyForm.name || source.name,
+    { requestId },
+  );
+
+  return requestUtils.redirectTo(`/lists/${list.id}`);
+};
+
+const viewLists = async (context) => {
+  return await renderLists(context);
+};
+
+const checkPermission = async (context, list, action) => {
+  if (!list) {
+    return { response: await requestUtils.notFound(context) };
+  }
+
+  if (!permissions.can(list.role, action)) {
+    return { response: await requestUtils.forbidden(context) };
+  }
+
+  return { list };
+};
+
+// Finds the active list of the route (`params.id`) if the user is a member
+// and checks that their role allows the action. Otherwise `response` holds
+// the 404 or 403 page.
+const findListWithPermission = async (context, action) => {
+  const { params, user, requestId } = context;
+  return await checkPermission(
+    context,
+    await shoppingListService.findActiveById(params.id, user.id, { requestId }),
+    action,
+  );
+};
+
+// The same for deactivated lists, which only the archive works with.
+const findArchivedListWithPermission = async (context, action) => {
+  const { params, user, requestId } = context;
+  return await checkPermission(
+    context,
+    await shoppingListService.findArchivedById(
+      params.id,
+      user.id,
+      { requestId },
+    ),
+    action,
+  );
+};
+
+// The same for active and deactivated lists alike, e.g. for exporting.
+const findAnyListWithPermission = async (context, action) => {
+  const { params, user, requestId } = context;
+  return await checkPermission(
+    context,
+    await shoppingListService.findById(params.id, user.id, { requestId }),
+    action,
+  );
+};
+
+// Uncollected items are grouped by category in the user's aisle order.
+const groupByAisle = (items, categories) => {
+  return categories
+    .map((category) => ({
+      category,
+      items: items.filter((item) => item.category === category),
+    }))
+    .filter((group) => group.items.length > 0);
+};
+
+// The page of the history to show is given as `?history=<page>`. Returns
+// null if the page is not valid.
+const findHistory = async (context, list) => {
+  const { requestId } = context;
+  const param = new URL(context.request.url).searchParams.get("history");
+  const page = requestUtils.parsePage(param);
+  if (Number.isNaN(page)) {
+    return null;
+  }
+
+  const entries = await activityService.findByListId(
+    list.id,
+    { limit: HISTORY_PAGE_SIZE, offset: (page - 1) * HISTORY_PAGE_SIZE },
+    { requestId },
+  );
+  const total = await activityService.countByListId(list.id, { requestId });
+
+  return {
+    entries,
+    page,
+    hasNext: page < requestUtils.MAX_PAGE &&
+      page * HISTORY_PAGE_SIZE < total,
+  };
+};
+
+const renderList = async (context, list, data = {}) => {
+  const { render, user, requestId } = context;
+  const history = await findHistory(context, list);
+  if (!history) {
+    return await requestUtils.badRequest(context);
+  }
+
+  const items = await shoppingListItemService.findAllByListId(
+    list.id,
+    {},
+    { requestId },
+  );
+  const canEdit = permissions.can(list.role, "edit");
+  const categories = itemAttributes.orderCategories(
+    await userService.findAisleOrder(user.id, { requestId }),
+  );
+
+  return await render("list.eta", {
+    list,
+    itemCount: items.length,
+    itemGroups: groupByAisle(
+      items.filter((item) => !item.collected),
+      categories,
+    ),
+    collectedItems: items.filter((item) => item.collected),
+    categories,
+    units: itemAttributes.UNITS,
+    canEdit,
+    canManage: permissions.can(list.role, "manage"),
+    members: await listMemberService.findAllByListId(list.id, { requestId }),
+    suggestions: canEdit
+      ? await shoppingListItemService.findFrequentlyBought(
+        user.id,
+        list.id,
+        { requestId },
+      )
+      : [],
+    history,
+    undoable: canEdit
+      ? await activityService.findUndoable(list.id, { requestId })
+      : null,
+    roles: permissions.INVITABLE_ROLES,
+    itemForm: {
+      name: "",
+      quantity: "1",
+      unit: itemAttributes.DEFAULT_UNIT,
+      category: itemAttributes.DEFAULT_CATEGORY,
+    },
+    itemErrors: {},
+    inviteForm: { email: "", role: permissions.EDITOR },
+    inviteErrors: {},
+    ...data,
+  });
+};
+
+const viewList = async (context) => {
+  const { list, response } = await findListWithPermission(context, "view");
+  if (!list) {
+    return response;
+  }
+
+  return await renderList(context, list);
+};
+
+const deactivateList = async (context) => {
+  const { user, requestId } = context;
+  const { list, response } = await findListWithPermission(context, "manage");
+  if (!list) {
+    return response;
+  }
+
+  await shoppingListService.setActive(list.id, false, user.id, { requestId });
+
+  return requestUtils.redirectTo("/lists");
+};
+
+const viewArchive = async ({ render, user, requestId }) => {
+  return await render("archive.eta", {
+    lists: await shoppingListService.findArchived(user.id, { requestId }),
+  });
+};
+
+const reactivateList = async (context) => {
+  const { user, requestId } = context;
+  const { list, response } = await findArchivedListWithPermission(
+    context,
+    "manage",
+  );
+  if (!list) {
+    return response;
+  }
+
+  await shoppingListService.setActive(list.id, true, user.id, { requestId });
+
+  return requestUtils.redirectTo(`/lists/${list.id}`);
+};
+
+const confirmDeleteList = async (context) => {
+  const { render, requestId } = context;
+  const { list, response } = await findArchivedListWithPermission(
+    context,
+    "manage",
+  );
+  if (!list) {
+    return response;
+  }
+
+  return await render("deleteList.eta", {
+    list,
+    itemCount: await shoppingListItemService.countByListId(
+      list.id,
+      { requestId },
+    ),
+  });
+};
+
+// Only deactivated lists can be deleted, so a list disappears in two steps.
+const deleteList = async (context) => {
+  const { requestId } = context;
+  const { list, response } = await findArchivedListWithPermission(
+    context,
+    "manage",
+  );
+  if (!list) {
+    return response;
+  }
+
+  await shoppingListService.deleteById(list.id, { requestId });
+
+  return requestUtils.redirectTo("/lists/archive");
+};
+
+const setTemplate = async (context) => {
+  const { readFormData, user, requestId } = context;
+  const { list, response } = await findListWithPermission(context, "manage");
+  if (!list) {
+    return response;
+  }
+
+  const formData = await readFormData();
+  await shoppingListService.setTemplate(
+    list.id,
+    formData.get("template") === "true",
+    user.id,
+    { requestId },
+  );
+
+  return requestUtils.redirectTo(`/lists/${list.id}`);
+};
+
+export {
+  addList,
+  confirmDeleteList,
+  copyList,
+  deactivateList,
+  deleteList,
+  findAnyListWithPermission,
+  findListWithPermission,
+  reactivateList,
+  renderList,
+  setTemplate,
+  viewArchive,
+  viewList,
+  viewLists,
+};
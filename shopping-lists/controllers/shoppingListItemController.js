@@ -0,0 +1,106 @@
+import * as shoppingListItemService from "../services/shoppingListItemService.js";
+import * as requestUtils from "../utils/requestUtils.js";
+import { required, validate } from "../utils/validation.js";
+import { itemRules } from "../utils/validationRules.js";
+import {
+  findListWithPermission,
+  renderList,
+} from "./shoppingListController.js";
+
+// The form always sends every field, so none of them may be left empty.
+const itemFormRules = {
+  name: itemRules.name,
+  quantity: [required, ...itemRules.quantity],
+  unit: [required, ...itemRules.unit],
+  category: [required, ...itemRules.category],
+};
+
+const addItem = async (context) => {
+  const { requestId } = context;
+  const { list, response } = await findListWithPermission(context, "edit");
+  if (!list) {
+    return response;
+  }
+
+  const formData = await context.readFormData();
+  const itemForm = {
+    name: (formData.get("name") ?? "").trim(),
+    quantity: (formData.get("quantity") ?? "").trim(),
+    unit: formData.get("unit"),
+    category: formData.get("category"),
+  };
+
+  const { passes, errors } = await validate(itemForm, itemFormRules);
+  if (!passes) {
+    return await renderList(context, list, { itemForm, itemErrors: errors });
+  }
+
+  await shoppingListItemService.create(
+    list.id,
+    { ...itemForm, quantity: Number(itemForm.quantity) },
+    context.user.id,
+    { requestId },
+  );
+
+  return requestUtils.redirectTo(`/lists/${list.id}`);
+};
+
+const setCollected = (collected) => async (context) => {
+  const { params, user, requestId } = context;
+  const { list, response } = await findListWithPermission(context, "edit");
+  if (!list) {
+    return response;
+  }
+
+  const item = await shoppingListItemService.setCollected(
+    list.id,
+    params.itemId,
+    collected,
+    user.id,
+    {},
+    { requestId },
+  );
+  if (!item) {
+    return await requestUtils.notFound(context);
+  }
+
+  return requestUtils.redirectTo(`/lists/${list.id}`);
+};
+
+const collectItem = setCollected(true);
+const uncollectItem = setCollected(false);
+
+const deleteItem = async (context) => {
+  const { params, user, requestId } = context;
+  const { list, response } = await findListWithPermission(context, "edit");
+  if (!list) {
+    return response;
+  }
+
+  const item = await shoppingListItemService.deleteById(
+    list.id,
+    params.itemId,
+    user.id,
+    { requestId },
+  );
+  if (!item) {
+    return await requestUtils.notFound(context);
+  }
+
+  return requestUtils.redirectTo(`/lists/${list.id}`);
+};
+
+// Undoes the most recent collect or removal on the list, whoever made it.
+const undoLastChange = async (context) => {
+  const { user, requestId } = context;
+  const { list, response } = await findListWithPermission(context, "edit");
+  if (!list) {
+    return response;
+  }
+
+  await shoppingListItemService.undoLast(list.id, user.id, { requestId });
+
+  return requestUtils.redirectTo(`/lists/${list.id}`);
+};
+
+export { addItem, collectItem, deleteItem, uncollectItem, undoLastChange };
@@ -0,0 +1,74 @@
+import { config } from "../config.js";
+import { Pool } from "../deps.js";
+import * as logger from "../utils/logger.js";
+
+// DATABASE_URL takes precedence; otherwise the driver reads the PG* variables
+// from project.env (PGHOST, PGPORT, PGUSER, PGPASSWORD, PGDATABASE).
+const connectionParams = config.databaseUrl ?? {};
+
+const connectionPool = new Pool(connectionParams, config.dbPoolSize, true);
+
+// `scope` ({ requestId }) names the request the query runs for. A failed
+// query is logged with it and its SQL text, which is also attached to the
+// error for whoever handles it; parameter values may contain user data, so
+// they are left out.
+const runQuery = async (client, query, params = [], scope = {}) => {
+  try {
+    return await client.queryObject(query, params);
+  } catch (e) {
+    logger.error("Query failed", {
+      requestId: scope.requestId,
+      error: logger.describeError(e),
+      query,
+    });
+    e.query ??= query;
+    throw e;
+  }
+};
+
+const executeQuery = async (query, params = [], scope = {}) => {
+  const client = await connectionPool.connect();
+  try {
+    return await runQuery(client, query, params, scope);
+  } finally {
+    client.release();
+  }
+};
+
+// Runs `fn` inside a transaction on a single connection. `fn` receives a
+// function with the same signature as `executeQuery`; if it throws, every
+// change it made is rolled back.
+const withTransaction = async (fn, scope = {}) => {
+  const client = await connectionPool.connect();
+  try {
+    await runQuery(client, "BEGIN", [], scope);
+    try {
+      const result = await fn((query, params) =>
+        runQuery(client, query, params, scope)
+      );
+      await runQuery(client, "COMMIT", [], scope);
+      return result;
+    } catch (e) {
+      await runQuery(client, "ROLLBACK", [], scope);
+      throw e;
+    }
+  } finally {
+    client.release();
+  }
+};
+
+// Connections are opened on first use, so `available` also counts the ones
+// that have not been opened yet.
+const poolStats = () => {
+  return {
+    size: connectionPool.size,
+    available: connectionPool.available,
+  };
+};
+
+// Closes the pool's connections; call it once no more queries are running.
+const closePool = async () => {
+  await connectionPool.end();
+};
+
+export { closePool, executeQuery, poolStats, withTransaction };
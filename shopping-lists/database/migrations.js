@@ -0,0 +1,257 @@
+import { join } from "../deps.js";
+import { crc32 } from "../utils/crc32.js";
+import * as logger from "../utils/logger.js";
+import { executeQuery, withTransaction } from "./database.js";
+
+// Runs the Flyway migrations in flyway/sql without Flyway. The history is
+// kept in Flyway's own table and format, so either tool can take over from
+// the other: Flyway sees the migrations applied here as its own and vice
+// versa. Only versioned migrations (V<version>__<description>.sql) are
+// supported.
+
+// In the container the app lives in /app and flyway/sql is mounted at
+// /flyway/sql, so the same relative path works there and in the repository.
+const MIGRATIONS_DIR = Deno.env.get("MIGRATIONS_DIR") ??
+  join(Deno.cwd(), "..", "flyway", "sql");
+const HISTORY_TABLE = "flyway_schema_history";
+const MIGRATION_FILE = /^V([0-9._]+?)__(.+)\.sql$/;
+
+// Held for the duration of each migration's transaction, so that app
+// instances starting at the same time apply every migration once.
+const LOCK_ID = 7777_0001;
+
+const CREATE_HISTORY_TABLE = `
+  CREATE TABLE IF NOT EXISTS ${HISTORY_TABLE} (
+    installed_rank INT NOT NULL,
+    version VARCHAR(50),
+    description VARCHAR(200) NOT NULL,
+    type VARCHAR(20) NOT NULL,
+    script VARCHAR(1000) NOT NULL,
+    checksum INTEGER,
+    installed_by VARCHAR(100) NOT NULL,
+    installed_on TIMESTAMP NOT NULL DEFAULT now(),
+    execution_time INTEGER NOT NULL,
+    success BOOLEAN NOT NULL,
+    CONSTRAINT ${HISTORY_TABLE}_pk PRIMARY KEY (installed_rank)
+  );
+  CREATE INDEX IF NOT EXISTS ${HISTORY_TABLE}_s_idx
+    ON ${HISTORY_TABLE} (success);`;
+
+// Flyway's checksum: the CRC-32 of the script's lines without their line
+// breaks (and without a byte order mark), as a signed 32-bit integer.
+const checksum = (text) => {
+  const lines = text.replace(/^\uFEFF/, "").split(/\r\n|\r|\n/);
+  if (lines.at(-1) === "") {
+    lines.pop();
+  }
+
+  const encoder = new TextEncoder();
+  return crc32(lines.map((line) => encoder.encode(line))) | 0;
+};
+
+// "1_2" and "1.2" are the same version; versions compare part by part.
+const compareVersions = (a, b) => {
+  const aParts = a.split(".").map(BigInt);
+  const bParts = b.split(".").map(BigInt);
+  for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+    const difference = (aParts[i] ?? 0n) - (bParts[i] ?? 0n);
+    if (difference !== 0n) {
+      return difference > 0n ? 1 : -1;
+    }
+  }
+
+  return 0;
+};
+
+// Like Flyway, only the first separator splits the name and every
+// underscore in the description becomes a space.
+const loadMigrations = async (dir = MIGRATIONS_DIR) => {
+  const migrations = [];
+  for await (const entry of Deno.readDir(dir)) {
+    const match = entry.isFile && MIGRATION_FILE.exec(entry.name);
+    if (!match) {
+      continue;
+    }
+
+    const sql = await Deno.readTextFile(join(dir, entry.name));
+    migrations.push({
+      version: match[1].replaceAll("_", "."),
+      description: match[2].replaceAll("_", " "),
+      script: entry.name,
+      checksum: checksum(sql),
+      sql,
+    });
+  }
+
+  return migrations.sort((a, b) => compareVersions(a.version, b.version));
+};
+
+const findHistory = async (query) => {
+  const result = await query(
+    `SELECT * FROM ${HISTORY_TABLE}
+      WHERE version IS NOT NULL
+      ORDER BY installed_rank`,
+  );
+  return result.rows;
+};
+
+const historyExists = async (query) => {
+  const result = await query(
+    "SELECT to_regclass($1) IS NOT NULL AS exists",
+    [HISTORY_TABLE],
+  );
+  return result.rows[0].exists;
+};
+
+// Pairs the migration files with the history. Each entry has the file
+// (`migration`) and/or its history row (`applied`) and a `state`:
+// "applied", "pending", "baseline", "below baseline", "failed", "missing"
+// (applied but the file is gone), "changed" (the checksum differs from the
+// file's) or "ignored" (not applied, but older than the latest
+// applied migration).
+const describe = (migrations, history) => {
+  const baseline = history.find((row) => row.type === "BASELINE");
+  const applied = history.filter((row) => row.type !== "BASELINE");
+  const latest = applied.filter((row) => row.success).at(-1)?.version ??
+    baseline?.version;
+
+  const entries = migrations.map((migration) => {
+    const row = applied.find((row) =>
+      compareVersions(row.version, migration.version) === 0
+    );
+    let state;
+    if (row) {
+      state = !row.success
+        ? "failed"
+        : row.checksum !== migration.checksum
+        ? "changed"
+        : "applied";
+    } else if (
+      baseline && compareVersions(migration.version, baseline.version) <= 0
+    ) {
+      state = compareVersions(migration.version, baseline.version) === 0
+        ? "baseline"
+        : "below baseline";
+    } else {
+      state = latest && compareVersions(migration.version, latest) < 0
+        ? "ignored"
+        : "pending";
+    }
+
+    return { version: migration.version, migration, applied: row, state };
+  });
+
+  const missing = applied
+    .filter((row) =>
+      !migrations.some((migration) =>
+        compareVersions(row.version, migration.version) === 0
+      )
+    )
+    .map((row) => ({ version: row.version, applied: row, state: "missing" }));
+
+  return [...entries, ...missing]
+    .sort((a, b) => compareVersions(a.version, b.version));
+};
+
+// `scope` ({ requestId }) names the request the database is queried for.
+// `migrations` are the files as returned by loadMigrations, read from `dir`
+// when not given.
+const status = async (dir = MIGRATIONS_DIR, scope = {}, migrations = null) => {
+  const query = (text, params) => executeQuery(text, params, scope);
+  migrations ??= await loadMigrations(dir);
+  const history = await historyExists(query) ? await findHistory(query) : [];
+  return describe(migrations, history);
+};
+
+const PROBLEMS = {
+  changed: "was changed after it was applied",
+  failed: "failed and must be fixed by hand",
+  ignored: "is older than the latest applied migration",
+  missing: "was applied but its file is missing",
+};
+
+// Returns one message per problem that stops migrating; pending migrations
+// are only reported when `allowPending` is false.
+const validate = async (
+  {
+    dir = MIGRATIONS_DIR,
+    migrations = null,
+    allowPending = false,
+    scope = {},
+  } = {},
+) => {
+  const problems = [];
+  for (const entry of await status(dir, scope, migrations)) {
+    if (PROBLEMS[entry.state]) {
+      problems.push(`Migration ${entry.version} ${PROBLEMS[entry.state]}.`);
+    } else if (entry.state === "pending" && !allowPending) {
+      problems.push(`Migration ${entry.version} has not been applied.`);
+    }
+  }
+
+  return problems;
+};
+
+// Applies the migration and records it in the same transaction, unless
+// another process did so in the meantime. PostgreSQL rolls back a failed
+// migration completely, so, like Flyway, nothing is recorded for it.
+const apply = async (migration) => {
+  return await withTransaction(async (query) => {
+    await query("SELECT pg_advisory_xact_lock($1)", [LOCK_ID]);
+    const history = await findHistory(query);
+    if (
+      history.some((row) =>
+        compareVersions(row.version, migration.version) >= 0
+      )
+    ) {
+      return false;
+    }
+
+    const startedAt = performance.now();
+    await query(migration.sql);
+    await query(
+      `INSERT INTO ${HISTORY_TABLE}
+          (installed_rank, version, description, type, script, checksum,
+            installed_by, execution_time, success)
+        SELECT COALESCE(MAX(installed_rank), 0) + 1, $1, $2, 'SQL', $3, $4,
+            current_user, $5, true
+          FROM ${HISTORY_TABLE}`,
+      [
+        migration.version,
+        migration.description,
+        migration.script,
+        migration.checksum,
+        Math.round(performance.now() - startedAt),
+      ],
+    );
+    return true;
+  });
+};
+
+// Validates, then applies the pending migrations in order. Returns the
+// versions that were applied.
+const migrate = async (dir = MIGRATIONS_DIR) => {
+  await withTransaction(async (query) => {
+    await query("SELECT pg_advisory_xact_lock($1)", [LOCK_ID]);
+    await query(CREATE_HISTORY_TABLE);
+  });
+
+  const problems = await validate({ dir, allowPending: true });
+  if (problems.length > 0) {
+    throw new Error(`Cannot migrate:\n  ${problems.join("\n  ")}`);
+  }
+
+  const applied = [];
+  for (const { migration, state } of await status(dir)) {
+    if (state === "pending" && await apply(migration)) {
+      logger.info(`Applied migration ${migration.version}`, {
+        script: migration.script,
+      });
+      applied.push(migration.version);
+    }
+  }
+
+  return applied;
+};
+
+export { checksum, loadMigrations, migrate, status, validate };
@@ -0,0 +1,14 @@
+export { Server } from "https://deno.land/std@0.140.0/http/server.ts";
+export {
+  getCookies,
+  setCookie,
+} from "https://deno.land/std@0.140.0/http/cookie.ts";
+export { walk } from "https://deno.land/std@0.140.0/fs/walk.ts";
+export {
+  extname,
+  join,
+  relative,
+} from "https://deno.land/std@0.140.0/path/mod.ts";
+export * as bcrypt from "https://deno.land/x/bcrypt@v0.4.1/mod.ts";
+export { configure, renderFile } from "https://deno.land/x/eta@v1.12.3/mod.ts";
+export { Pool } from "https://deno.land/x/postgres@v0.16.1/mod.ts";
@@ -0,0 +1,29 @@
+import * as apiUtils from "../utils/apiUtils.js";
+import * as requestUtils from "../utils/requestUtils.js";
+
+const restrictedPaths = ["/lists", "/search", "/settings", "/api"];
+const publicPaths = ["/api/v1/csrf-token"];
+
+const authMiddleware = async (context, next) => {
+  context.user = context.session.get("user");
+
+  const render = context.render;
+  context.render = (template, data = {}, options) => {
+    return render(template, { ...data, user: context.user }, options);
+  };
+
+  const { pathname } = new URL(context.request.url);
+  const restricted = !publicPaths.includes(pathname) &&
+    restrictedPaths.some((path) =>
+      pathname === path || pathname.startsWith(`${path}/`)
+    );
+  if (restricted && !context.user) {
+    return apiUtils.isApiRequest(context.request)
+      ? apiUtils.apiError(401, "Authentication required.")
+      : requestUtils.redirectTo("/auth/login");
+  }
+
+  return await next();
+};
+
+export { authMiddleware };
@@ -0,0 +1,92 @@
+import * as apiUtils from "../utils/apiUtils.js";
+import { CSRF_FIELD } from "../utils/renderUtils.js";
+import * as requestUtils from "../utils/requestUtils.js";
+
+const CSRF_HEADER = "X-CSRF-Token";
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const createToken = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+};
+
+// Compares in constant time so that the token cannot be guessed byte by byte.
+const tokensMatch = (expected, actual) => {
+  if (typeof actual !== "string" || actual.length !== expected.length) {
+    return false;
+  }
+
+  let difference = 0;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= expected.charCodeAt(i) ^ actual.charCodeAt(i);
+  }
+
+  return difference === 0;
+};
+
+// Forms send the token as a field, scripts and API clients as a header.
+const submittedToken = (request, formData) => {
+  return request.headers.get(CSRF_HEADER) ?? formData?.get(CSRF_FIELD);
+};
+
+// The token is stored in the session only once it is needed: for a page
+// with a POST form, for `context.getCsrfToken()` or because the session exists
+// anyway. Anonymous visits to other pages thus create no session.
+const csrfMiddleware = async (context, next) => {
+  const { request, session } = context;
+
+  const ensureToken = () => {
+    let csrfToken = session.get("csrfToken");
+    if (!csrfToken) {
+      csrfToken = createToken();
+      session.set("csrfToken", csrfToken);
+    }
+
+    return csrfToken;
+  };
+
+  if (!session.isEmpty()) {
+    ensureToken();
+  }
+
+  context.getCsrfToken = ensureToken;
+
+  const render = context.render;
+  context.render = (template, data = {}, options = {}) => {
+    return render(template, data, { ...options, csrfToken: ensureToken });
+  };
+
+  if (SAFE_METHODS.includes(request.method)) {
+    return await next();
+  }
+
+  // Form bodies are read only here, both for the token and for the
+  // controllers, which get the form from `context.readFormData()`.
+  const formData = requestUtils.isFormRequest(request)
+    ? await requestUtils.readFormData(request)
+    : undefined;
+  if (formData === null) {
+    return apiUtils.isApiRequest(request)
+      ? apiUtils.apiError(413, "The request body is too large.")
+      : await requestUtils.payloadTooLarge(context);
+  }
+
+  context.readFormData = async () => formData ?? new FormData();
+
+  const expectedToken = session.get("csrfToken");
+  if (
+    !expectedToken ||
+    !tokensMatch(expectedToken, submittedToken(request, formData))
+  ) {
+    return apiUtils.isApiRequest(request)
+      ? apiUtils.apiError(403, "Invalid or missing CSRF token.", {
+        header: CSRF_HEADER,
+      })
+      : await requestUtils.forbidden(context);
+  }
+
+  return await next();
+};
+
+export { csrfMiddleware };
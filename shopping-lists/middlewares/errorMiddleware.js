@@ -0,0 +1,21 @@
+import * as apiUtils from "../utils/apiUtils.js";
+import * as logger from "../utils/logger.js";
+import { renderErrorPage } from "../utils/renderUtils.js";
+
+// A failed database query carries its SQL text in `query`.
+const errorMiddleware = async ({ request, requestId }, next) => {
+  try {
+    return await next();
+  } catch (e) {
+    logger.error("Request failed", {
+      requestId,
+      error: logger.describeError(e),
+      query: e?.query,
+    });
+    return apiUtils.isApiRequest(request)
+      ? apiUtils.apiError(500, "Internal server error.")
+      : await renderErrorPage({ requestId });
+  }
+};
+
+export { errorMiddleware };
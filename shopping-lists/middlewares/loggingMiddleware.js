@@ -0,0 +1,39 @@
+import * as logger from "../utils/logger.js";
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+
+// An ID sent by a proxy in front of the app is kept, so that both logs can
+// be matched; anything else gets a new one.
+const requestIdOf = (request) => {
+  const id = request.headers.get(REQUEST_ID_HEADER);
+  return id && /^[\w.:-]{1,128}$/.test(id) ? id : crypto.randomUUID();
+};
+
+const loggingMiddleware = async (context, next) => {
+  const { request } = context;
+  const requestId = requestIdOf(request);
+  context.requestId = requestId;
+
+  const render = context.render;
+  context.render = (template, data, options = {}) => {
+    return render(template, data, { ...options, requestId });
+  };
+
+  const start = performance.now();
+  const response = await next();
+  const duration = Math.round(performance.now() - start);
+
+  response.headers.set(REQUEST_ID_HEADER, requestId);
+  const log = response.status >= 500 ? logger.error : logger.info;
+  log("Request handled", {
+    requestId,
+    method: request.method,
+    path: new URL(request.url).pathname,
+    status: response.status,
+    duration,
+  });
+
+  return response;
+};
+
+export { loggingMiddleware };
@@ -0,0 +1,40 @@
+import { STATIC_PREFIX } from "../utils/assets.js";
+import { createCounter, createHistogram } from "../utils/metrics.js";
+
+const requestsTotal = createCounter(
+  "http_requests_total",
+  "HTTP requests by method, route and response status.",
+  ["method", "route", "status"],
+);
+const requestDuration = createHistogram(
+  "http_request_duration_seconds",
+  "Time until the response was ready, by method and route.",
+  ["method", "route"],
+);
+
+// Requests are labelled with the pattern of their route without the
+// parameter patterns, e.g. "/lists/:id". Paths that no route handles share
+// one label, so that requests for random paths cannot add new series.
+const routeLabel = ({ request, route }) => {
+  if (route) {
+    return route.replaceAll(/\([^)]*\)/g, "");
+  }
+
+  return new URL(request.url).pathname.startsWith(STATIC_PREFIX)
+    ? `${STATIC_PREFIX}*`
+    : "unmatched";
+};
+
+const metricsMiddleware = async (context, next) => {
+  const start = performance.now();
+  const response = await next();
+  const seconds = (performance.now() - start) / 1000;
+
+  const labels = { method: context.request.method, route: routeLabel(context) };
+  requestsTotal.inc({ ...labels, status: response.status });
+  requestDuration.observe(labels, seconds);
+
+  return response;
+};
+
+export { metricsMiddleware };
@@ -0,0 +1,32 @@
+import * as requestUtils from "../utils/requestUtils.js";
+
+// All styles, scripts and images are served by the app itself.
+const contentSecurityPolicy = [
+  "default-src 'self'",
+  "connect-src 'self'",
+  "object-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'",
+].join("; ");
+
+const HSTS_MAX_AGE_SECONDS = 60 * 60 * 24 * 180;
+
+const securityHeadersMiddleware = async ({ request }, next) => {
+  const response = await next();
+
+  response.headers.set("Content-Security-Policy", contentSecurityPolicy);
+  response.headers.set("X-Frame-Options", "DENY");
+  response.headers.set("X-Content-Type-Options", "nosniff");
+  response.headers.set("Referrer-Policy", "strict-origin-when-cross-origin");
+  if (requestUtils.isSecureRequest(request)) {
+    response.headers.set(
+      "Strict-Transport-Security",
+      `max-age=${HSTS_MAX_AGE_SECONDS}; includeSubDomains`,
+    );
+  }
+
+  return response;
+};
+
+export { securityHeadersMiddleware };
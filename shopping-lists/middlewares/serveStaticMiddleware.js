@@ -0,0 +1,118 @@
+import { extname } from "../deps.js";
+import { findAsset, STATIC_PREFIX } from "../utils/assets.js";
+
+const ONE_YEAR_SECONDS = 60 * 60 * 24 * 365;
+
+const contentTypes = {
+  ".css": "text/css; charset=UTF-8",
+  ".js": "text/javascript; charset=UTF-8",
+  ".json": "application/json",
+  ".webmanifest": "application/manifest+json",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".ico": "image/x-icon",
+  ".txt": "text/plain; charset=UTF-8",
+};
+
+// Binary formats such as images are already compressed.
+const compressibleExtensions = [".css", ".js", ".json", ".webmanifest", ".svg"];
+
+const acceptedEncodings = (request) => {
+  return (request.headers.get("Accept-Encoding") ?? "")
+    .split(",")
+    .map((part) => part.trim().split(";"))
+    .filter(([, quality]) => !quality || !/^q=0(\.0*)?$/.test(quality.trim()))
+    .map(([encoding]) => encoding.toLowerCase());
+};
+
+// Prefers brotli, then gzip. Brotli is only available as a precompressed
+// file; gzip is done on the fly when there is no precompressed file.
+const negotiateEncoding = (request, asset) => {
+  if (!compressibleExtensions.includes(extname(asset.path))) {
+    return { encoding: null, path: asset.path };
+  }
+
+  const encodings = acceptedEncodings(request);
+  for (const encoding of ["br", "gzip"]) {
+    const path = asset.precompressed[encoding];
+    if (encodings.includes(encoding) && path) {
+      return { encoding, path };
+    }
+  }
+
+  if (encodings.includes("gzip")) {
+    return { encoding: "gzip", path: asset.path, compress: true };
+  }
+
+  return { encoding: null, path: asset.path };
+};
+
+const readBody = async ({ path, compress }) => {
+  const content = await Deno.readFile(path);
+  if (!compress) {
+    return content;
+  }
+
+  return new Blob([content]).stream()
+    .pipeThrough(new CompressionStream("gzip"));
+};
+
+const etagMatches = (request, etag) => {
+  const ifNoneMatch = request.headers.get("If-None-Match");
+  if (!ifNoneMatch) {
+    return false;
+  }
+
+  return ifNoneMatch.split(",").some((value) => {
+    const candidate = value.trim().replace(/^W\//, "");
+    return candidate === "*" || candidate === etag;
+  });
+};
+
+const serveStaticMiddleware = async ({ request }, next) => {
+  const { pathname } = new URL(request.url);
+  if (
+    !["GET", "HEAD"].includes(request.method) ||
+    !pathname.startsWith(STATIC_PREFIX)
+  ) {
+    return await next();
+  }
+
+  const found = findAsset(pathname);
+  if (!found) {
+    return await next();
+  }
+
+  const { asset, immutable } = found;
+  const negotiated = negotiateEncoding(request, asset);
+  const { encoding } = negotiated;
+  const etag = `"${asset.hash}${encoding ? `-${encoding}` : ""}"`;
+
+  const headers = new Headers({
+    "Cache-Control": immutable
+      ? `public, max-age=${ONE_YEAR_SECONDS}, immutable`
+      : "no-cache",
+    "ETag": etag,
+    "Vary": "Accept-Encoding",
+  });
+
+  if (etagMatches(request, etag)) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  headers.set(
+    "Content-Type",
+    contentTypes[extname(asset.path)] ?? "application/octet-stream",
+  );
+  if (encoding) {
+    headers.set("Content-Encoding", encoding);
+  }
+
+  if (request.method === "HEAD") {
+    return new Response(null, { headers });
+  }
+
+  return new Response(await readBody(negotiated), { headers });
+};
+
+export { serveStaticMiddleware };
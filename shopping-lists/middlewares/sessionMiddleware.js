@@ -0,0 +1,94 @@
+import { getCookies, setCookie } from "../deps.js";
+import * as requestUtils from "../utils/requestUtils.js";
+
+const SESSION_COOKIE = "sessionId";
+const SESSION_MAX_AGE_SECONDS = 60 * 60 * 24;
+const EVICTION_INTERVAL_MS = 60 * 1000;
+
+// Session data lives in memory; the cookie only carries the session id.
+const sessions = new Map();
+let lastEvictionAt = Date.now();
+
+// Expired sessions whose cookie is never sent again would otherwise stay in
+// memory. Checked at most once a minute, as requests come in.
+const evictExpiredSessions = (now = Date.now()) => {
+  if (now - lastEvictionAt < EVICTION_INTERVAL_MS) {
+    return;
+  }
+
+  lastEvictionAt = now;
+  for (const [sessionId, session] of sessions) {
+    if (session.expiresAt < now) {
+      sessions.delete(sessionId);
+    }
+  }
+};
+
+const findSession = (sessionId) => {
+  const session = sessionId && sessions.get(sessionId);
+  if (!session) {
+    return null;
+  }
+
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(sessionId);
+    return null;
+  }
+
+  return session;
+};
+
+const createSessionApi = (session) => {
+  return {
+    // Issues a new session id while keeping the data, e.g. after logging in.
+    regenerate: () => {
+      sessions.delete(session.id);
+      session.id = crypto.randomUUID();
+    },
+    isEmpty: () => session.data.size === 0,
+    get: (key) => session.data.get(key),
+    set: (key, value) => {
+      session.data.set(key, value);
+    },
+    delete: (key) => {
+      session.data.delete(key);
+    },
+  };
+};
+
+const sessionMiddleware = async (context, next) => {
+  evictExpiredSessions();
+
+  const cookies = getCookies(context.request.headers);
+  const existingSession = findSession(cookies[SESSION_COOKIE]);
+  const session = existingSession ?? {
+    id: crypto.randomUUID(),
+    data: new Map(),
+  };
+
+  context.session = createSessionApi(session);
+
+  const response = await next();
+
+  // Sessions are only persisted once something has been stored in them.
+  if (session.data.size === 0 && !existingSession) {
+    return response;
+  }
+
+  session.expiresAt = Date.now() + SESSION_MAX_AGE_SECONDS * 1000;
+  sessions.set(session.id, session);
+  setCookie(response.headers, {
+    name: SESSION_COOKIE,
+    value: session.id,
+    path: "/",
+    httpOnly: true,
+    sameSite: "Lax",
+    // Over HTTPS the cookie must never be sent unencrypted.
+    secure: requestUtils.isSecureRequest(context.request),
+    maxAge: SESSION_MAX_AGE_SECONDS,
+  });
+
+  return response;
+};
+
+export { sessionMiddleware };
@@ -0,0 +1,68 @@
+import * as migrations from "./database/migrations.js";
+
+// deno task migrate [migrate|status|validate]
+const USAGE = "Usage: deno task migrate [migrate|status|validate]";
+
+const formatDate = (date) => {
+  return date ? date.toISOString().slice(0, 19).replace("T", " ") : "";
+};
+
+const printStatus = (entries) => {
+  const rows = entries.map(({ version, migration, applied, state }) => [
+    version,
+    migration?.description ?? applied.description,
+    state,
+    formatDate(applied?.installed_on),
+  ]);
+  const header = ["Version", "Description", "State", "Installed on"];
+  const widths = header.map((title, column) =>
+    Math.max(title.length, ...rows.map((row) => row[column].length))
+  );
+
+  for (const row of [header, ...rows]) {
+    console.log(
+      row.map((cell, column) => cell.padEnd(widths[column])).join("  ")
+        .trimEnd(),
+    );
+  }
+};
+
+const run = async (command) => {
+  if (command === "migrate") {
+    const applied = await migrations.migrate();
+    console.log(
+      applied.length > 0
+        ? `Applied ${applied.length} migration(s).`
+        : "The schema is up to date.",
+    );
+    return true;
+  }
+
+  if (command === "status") {
+    printStatus(await migrations.status());
+    return true;
+  }
+
+  if (command === "validate") {
+    const problems = await migrations.validate();
+    for (const problem of problems) {
+      console.log(problem);
+    }
+
+    if (problems.length === 0) {
+      console.log("All migrations are applied and unchanged.");
+    }
+
+    return problems.length === 0;
+  }
+
+  console.log(USAGE);
+  return false;
+};
+
+try {
+  Deno.exit(await run(Deno.args[0] ?? "migrate") ? 0 : 1);
+} catch (e) {
+  console.log(e.message);
+  Deno.exit(1);
+}
@@ -0,0 +1,76 @@
+import { copy, nextId, paginate, toId } from "./store.js";
+
+const createActivityRepository = (store) => {
+  const entriesOf = (shoppingListId) => {
+    return store.activity_log
+      .filter((entry) => entry.shopping_list_id === toId(shoppingListId));
+  };
+
+  const record = async (
+    { shoppingListId, userId, action, itemId = null, details = {} },
+  ) => {
+    store.activity_log.push({
+      id: nextId(store, "activity_log"),
+      shopping_list_id: toId(shoppingListId),
+      user_id: userId === null ? null : toId(userId),
+      action,
+      item_id: itemId === null ? null : toId(itemId),
+      details: copy(details),
+      undone_at: null,
+      created_at: new Date(),
+    });
+  };
+
+  const findByListId = async (
+    shoppingListId,
+    { limit = null, offset = 0 } = {},
+  ) => {
+    const entries = entriesOf(shoppingListId)
+      .sort((a, b) => b.id - a.id)
+      .map((entry) => ({
+        ...copy(entry),
+        email: store.users.find((user) => user.id === entry.user_id)?.email ??
+          null,
+      }));
+    return paginate(entries, { limit, offset });
+  };
+
+  const countByListId = async (shoppingListId) => {
+    return entriesOf(shoppingListId).length;
+  };
+
+  const findLatestNotUndone = async (shoppingListId, actions) => {
+    return copy(
+      entriesOf(shoppingListId)
+        .filter((entry) =>
+          actions.includes(entry.action) && entry.undone_at === null
+        )
+        .sort((a, b) => b.id - a.id)[0],
+    );
+  };
+
+  const findByChangeId = async (shoppingListId, changeId) => {
+    return copy(
+      entriesOf(shoppingListId)
+        .find((entry) => entry.details.changeId === changeId),
+    );
+  };
+
+  const markUndone = async (id) => {
+    const entry = store.activity_log.find((entry) => entry.id === toId(id));
+    if (entry) {
+      entry.undone_at = new Date();
+    }
+  };
+
+  return {
+    countByListId,
+    findByChangeId,
+    findByListId,
+    findLatestNotUndone,
+    markUndone,
+    record,
+  };
+};
+
+export { createActivityRepository };
@@ -0,0 +1,40 @@
+import { createActivityRepository } from "./activityRepository.js";
+import { createItemRepository } from "./itemRepository.js";
+import { createListRepository } from "./listRepository.js";
+import { createMemberRepository } from "./memberRepository.js";
+import { createSearchRepository } from "./searchRepository.js";
+import { createStatisticsRepository } from "./statisticsRepository.js";
+import { createStore } from "./store.js";
+import { createUserRepository } from "./userRepository.js";
+
+// Implements the same repositories as the PostgreSQL ones on plain arrays,
+// for tests that run without a database. Each call starts out empty.
+const createMemoryRepositories = () => {
+  const store = createStore();
+  const repositories = {
+    activity: createActivityRepository(store),
+    items: createItemRepository(store),
+    lists: createListRepository(store),
+    members: createMemberRepository(store),
+    search: createSearchRepository(store),
+    statistics: createStatisticsRepository(store),
+    users: createUserRepository(store),
+  };
+
+  // A failed transaction puts back the tables as they were. Unlike in
+  // PostgreSQL, changes made concurrently by other requests are reverted as
+  // well, which is fine for tests.
+  const transaction = async (fn) => {
+    const snapshot = structuredClone(store);
+    try {
+      return await fn(repositories);
+    } catch (e) {
+      Object.assign(store, snapshot);
+      throw e;
+    }
+  };
+
+  return { ...repositories, transaction };
+};
+
+export { createMemoryRepositories };
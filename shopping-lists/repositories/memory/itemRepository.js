@@ -0,0 +1,197 @@
+import { compareText, copy, nextId, paginate, toId } from "./store.js";
+
+const createItemRepository = (store) => {
+  const itemsOf = (shoppingListId) => {
+    return store.shopping_list_items
+      .filter((item) => item.shopping_list_id === toId(shoppingListId));
+  };
+
+  const find = (shoppingListId, id) => {
+    return itemsOf(shoppingListId).find((item) => item.id === toId(id));
+  };
+
+  const insert = async (
+    shoppingListId,
+    { name, quantity, unit, category, collected = false },
+  ) => {
+    const item = {
+      id: nextId(store, "shopping_list_items"),
+      shopping_list_id: toId(shoppingListId),
+      name,
+      quantity: Number(quantity),
+      unit,
+      category,
+      collected,
+      updated_at: new Date(),
+    };
+    store.shopping_list_items.push(item);
+    return copy(item);
+  };
+
+  const restore = async (item) => {
+    const taken = store.shopping_list_items
+      .some((other) => other.id === toId(item.id));
+    if (taken) {
+      return undefined;
+    }
+
+    const restored = {
+      ...copy(item),
+      id: toId(item.id),
+      shopping_list_id: toId(item.shopping_list_id),
+      quantity: Number(item.quantity),
+      updated_at: new Date(),
+    };
+    store.shopping_list_items.push(restored);
+    return copy(restored);
+  };
+
+  const addToQuantity = async (
+    shoppingListId,
+    { name, unit, quantity, max },
+  ) => {
+    const item = itemsOf(shoppingListId)
+      .sort((a, b) => a.id - b.id)
+      .find((item) =>
+        item.name.toLowerCase() === name.toLowerCase() &&
+        item.unit === unit && !item.collected
+      );
+    if (!item) {
+      return undefined;
+    }
+
+    item.quantity = Math.min(item.quantity + Number(quantity), max);
+    item.updated_at = new Date();
+    return copy(item);
+  };
+
+  const copyAll = async (fromListId, toListId) => {
+    const items = itemsOf(fromListId).sort((a, b) => a.id - b.id);
+    for (const item of items) {
+      await insert(toListId, { ...item, collected: false });
+    }
+
+    return items.length;
+  };
+
+  const findAllByListId = async (
+    shoppingListId,
+    { limit = null, offset = 0 } = {},
+  ) => {
+    const items = itemsOf(shoppingListId).sort((a, b) =>
+      Number(a.collected) - Number(b.collected) ||
+      compareText(a.name, b.name) || a.id - b.id
+    );
+    return paginate(items, { limit, offset }).map(copy);
+  };
+
+  const countByListId = async (shoppingListId) => {
+    return itemsOf(shoppingListId).length;
+  };
+
+  const findById = async (shoppingListId, id) => {
+    return copy(find(shoppingListId, id));
+  };
+
+  const findFrequentlyBought = async (userId, shoppingListId, limit) => {
+    const listIds = new Set(
+      store.list_members
+        .filter((member) => member.user_id === toId(userId))
+        .map((member) => member.shopping_list_id),
+    );
+    const namesOnList = new Set(
+      itemsOf(shoppingListId).map((item) => item.name.toLowerCase()),
+    );
+
+    const groups = new Map();
+    store.shopping_list_items
+      .filter((item) =>
+        listIds.has(item.shopping_list_id) &&
+        !namesOnList.has(item.name.toLowerCase())
+      )
+      .sort((a, b) => a.id - b.id)
+      .forEach((item) => {
+        const key = item.name.toLowerCase();
+        const group = groups.get(key) ?? { names: [], listIds: new Set() };
+        group.names.push(item.name);
+        group.listIds.add(item.shopping_list_id);
+        group.unit = item.unit;
+        group.category = item.category;
+        groups.set(key, group);
+      });
+
+    return [...groups.values()]
+      .filter((group) => group.listIds.size > 1)
+      .map((group) => ({
+        name: group.names.sort()[0],
+        unit: group.unit,
+        category: group.category,
+        list_count: group.listIds.size,
+      }))
+      .sort((a, b) =>
+        b.list_count - a.list_count || compareText(a.name, b.name)
+      )
+      .slice(0, limit);
+  };
+
+  const update = async (
+    shoppingListId,
+    id,
+    { name = null, quantity = null, unit = null, category = null },
+  ) => {
+    const item = find(shoppingListId, id);
+    if (!item) {
+      return undefined;
+    }
+
+    item.name = name ?? item.name;
+    item.quantity = Number(quantity ?? item.quantity);
+    item.unit = unit ?? item.unit;
+    item.category = category ?? item.category;
+    item.updated_at = new Date();
+    return copy(item);
+  };
+
+  const setCollected = async (
+    shoppingListId,
+    id,
+    collected,
+    changedAt = null,
+  ) => {
+    const item = find(shoppingListId, id);
+    if (!item || (changedAt !== null && item.updated_at > changedAt)) {
+      return undefined;
+    }
+
+    item.collected = collected;
+    item.updated_at = changedAt ?? new Date();
+    return copy(item);
+  };
+
+  const deleteById = async (shoppingListId, id) => {
+    const item = find(shoppingListId, id);
+    if (!item) {
+      return undefined;
+    }
+
+    store.shopping_list_items = store.shopping_list_items
+      .filter((other) => other !== item);
+    return copy(item);
+  };
+
+  return {
+    addToQuantity,
+    copyAll,
+    countByListId,
+    deleteById,
+    findAllByListId,
+    findById,
+    findFrequentlyBought,
+    insert,
+    restore,
+    setCollected,
+    update,
+  };
+};
+
+export { createItemRepository };
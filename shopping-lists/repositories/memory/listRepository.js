@@ -0,0 +1,135 @@
+import { copy, nextId, paginate, toId } from "./store.js";
+
+const createListRepository = (store) => {
+  const findMembership = (listId, userId) => {
+    return store.list_members.find((member) =>
+      member.shopping_list_id === listId && member.user_id === toId(userId)
+    );
+  };
+
+  // The lists the user is a member of, with their role.
+  const listsOf = (userId) => {
+    return store.shopping_lists
+      .filter((list) => findMembership(list.id, userId))
+      .map((list) => ({
+        ...copy(list),
+        role: findMembership(list.id, userId).role,
+      }));
+  };
+
+  const insert = async (userId, name) => {
+    const list = {
+      id: nextId(store, "shopping_lists"),
+      user_id: toId(userId),
+      name,
+      active: true,
+      is_template: false,
+      deactivated_at: null,
+    };
+    store.shopping_lists.push(list);
+    store.list_members.push({
+      shopping_list_id: list.id,
+      user_id: toId(userId),
+      role: "owner",
+    });
+    return { ...copy(list), role: "owner" };
+  };
+
+  const filterByActive = (lists, active) => {
+    return active === null
+      ? lists
+      : lists.filter((list) => list.active === active);
+  };
+
+  const findAll = async (
+    userId,
+    { active = null, limit = null, offset = 0 } = {},
+  ) => {
+    const lists = filterByActive(listsOf(userId), active)
+      .sort((a, b) => a.id - b.id);
+    return paginate(lists, { limit, offset });
+  };
+
+  const countAll = async (userId, { active = null } = {}) => {
+    return filterByActive(listsOf(userId), active).length;
+  };
+
+  const findReusable = async (userId) => {
+    return listsOf(userId)
+      .filter((list) => list.is_template || !list.active)
+      .sort((a, b) =>
+        Number(b.is_template) - Number(a.is_template) || b.id - a.id
+      );
+  };
+
+  const findArchived = async (userId) => {
+    return listsOf(userId)
+      .filter((list) => !list.active)
+      .map((list) => ({
+        ...list,
+        item_count: store.shopping_list_items
+          .filter((item) => item.shopping_list_id === list.id).length,
+      }))
+      .sort((a, b) => {
+        if (a.deactivated_at === null || b.deactivated_at === null) {
+          return (a.deactivated_at === null) - (b.deactivated_at === null) ||
+            b.id - a.id;
+        }
+
+        return b.deactivated_at - a.deactivated_at || b.id - a.id;
+      });
+  };
+
+  const findById = async (id, userId) => {
+    return listsOf(userId).find((list) => list.id === toId(id));
+  };
+
+  const change = (id, changes) => {
+    const list = store.shopping_lists.find((list) => list.id === toId(id));
+    if (!list) {
+      return undefined;
+    }
+
+    Object.assign(list, changes);
+    return copy(list);
+  };
+
+  const rename = async (id, name) => {
+    return change(id, { name });
+  };
+
+  const setActive = async (id, active) => {
+    return change(id, { active, deactivated_at: active ? null : new Date() });
+  };
+
+  const setTemplate = async (id, isTemplate) => {
+    return change(id, { is_template: isTemplate });
+  };
+
+  // Like the foreign keys in PostgreSQL, deleting a list deletes its items,
+  // memberships and activity log.
+  const deleteById = async (id) => {
+    const listId = toId(id);
+    const notOfList = (row) => row.shopping_list_id !== listId;
+    store.shopping_lists = store.shopping_lists
+      .filter((list) => list.id !== listId);
+    store.shopping_list_items = store.shopping_list_items.filter(notOfList);
+    store.list_members = store.list_members.filter(notOfList);
+    store.activity_log = store.activity_log.filter(notOfList);
+  };
+
+  return {
+    countAll,
+    deleteById,
+    findAll,
+    findArchived,
+    findById,
+    findReusable,
+    insert,
+    rename,
+    setActive,
+    setTemplate,
+  };
+};
+
+export { createListRepository };
@@ -0,0 +1,55 @@
+import { compareText, toId } from "./store.js";
+
+const createMemberRepository = (store) => {
+  const findMember = (shoppingListId, userId) => {
+    return store.list_members.find((member) =>
+      member.shopping_list_id === toId(shoppingListId) &&
+      member.user_id === toId(userId)
+    );
+  };
+
+  const findAllByListId = async (shoppingListId) => {
+    return store.list_members
+      .filter((member) => member.shopping_list_id === toId(shoppingListId))
+      .map((member) => ({
+        user_id: member.user_id,
+        email: store.users.find((user) => user.id === member.user_id).email,
+        role: member.role,
+      }))
+      .sort((a, b) =>
+        (b.role === "owner") - (a.role === "owner") ||
+        compareText(a.email, b.email)
+      );
+  };
+
+  const addOrUpdate = async (shoppingListId, userId, role) => {
+    const member = findMember(shoppingListId, userId);
+    if (member?.role === "owner") {
+      return false;
+    }
+
+    if (member) {
+      member.role = role;
+    } else {
+      store.list_members.push({
+        shopping_list_id: toId(shoppingListId),
+        user_id: toId(userId),
+        role,
+      });
+    }
+
+    return true;
+  };
+
+  const remove = async (shoppingListId, userId) => {
+    const member = findMember(shoppingListId, userId);
+    if (member && member.role !== "owner") {
+      store.list_members = store.list_members
+        .filter((other) => other !== member);
+    }
+  };
+
+  return { addOrUpdate, findAllByListId, remove };
+};
+
+export { createMemberRepository };
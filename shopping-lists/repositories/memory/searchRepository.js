@@ -0,0 +1,97 @@
+import { MATCH_START, MATCH_STOP } from "../../utils/highlight.js";
+import { toId } from "./store.js";
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const words = (text) => {
+  return (text.toLowerCase().match(WORD) ?? []);
+};
+
+// A simplified stand-in for PostgreSQL's web search syntax: every word must
+// occur, except words starting with "-", which must not. Quotes are ignored
+// and "or" is not supported. The rank counts the matching words.
+const parseQuery = (text) => {
+  const required = [];
+  const excluded = [];
+  for (const term of text.split(/\s+/)) {
+    (term.startsWith("-") ? excluded : required).push(...words(term));
+  }
+
+  return { required, excluded };
+};
+
+const rankOf = (name, { required, excluded }) => {
+  const nameWords = words(name);
+  const matches = required.length > 0 &&
+    required.every((word) => nameWords.includes(word)) &&
+    !excluded.some((word) => nameWords.includes(word));
+  return matches
+    ? nameWords.filter((word) => required.includes(word)).length
+    : 0;
+};
+
+const headline = (name, { required }) => {
+  return name.replace(
+    WORD,
+    (word) =>
+      required.includes(word.toLowerCase())
+        ? `${MATCH_START}${word}${MATCH_STOP}`
+        : word,
+  );
+};
+
+const createSearchRepository = (store) => {
+  const findMatches = (userId, text) => {
+    const query = parseQuery(text);
+    const memberships = store.list_members
+      .filter((member) => member.user_id === toId(userId));
+
+    return memberships
+      .map((member) => {
+        const list = store.shopping_lists
+          .find((list) => list.id === member.shopping_list_id);
+        const items = store.shopping_list_items
+          .filter((item) => item.shopping_list_id === list.id)
+          .map((item) => ({ name: item.name, rank: rankOf(item.name, query) }))
+          .filter((item) => item.rank > 0)
+          .sort((a, b) => b.rank - a.rank);
+        const nameRank = rankOf(list.name, query);
+
+        return {
+          id: list.id,
+          name: list.name,
+          active: list.active,
+          role: member.role,
+          rank: nameRank + items.reduce((sum, item) => sum + item.rank, 0),
+          items,
+          query,
+        };
+      })
+      .filter((match) => match.rank > 0)
+      .sort((a, b) => b.rank - a.rank || b.id - a.id);
+  };
+
+  const search = async (
+    userId,
+    text,
+    { limit = null, offset = 0, itemLimit = 5 } = {},
+  ) => {
+    return findMatches(userId, text)
+      .slice(offset, limit === null ? undefined : offset + limit)
+      .map(({ items, query, ...match }) => ({
+        ...match,
+        name_headline: headline(match.name, query),
+        item_headlines: items
+          .slice(0, itemLimit)
+          .map((item) => headline(item.name, query)),
+      }));
+  };
+
+  const count = async (userId, text) => {
+    return findMatches(userId, text).length;
+  };
+
+  return { count, search };
+};
+
+export { createSearchRepository };
@@ -0,0 +1,27 @@
+const createStatisticsRepository = (store) => {
+  const countLists = async () => {
+    return store.shopping_lists.length;
+  };
+
+  const countItems = async () => {
+    return store.shopping_list_items.length;
+  };
+
+  const countActiveLists = async () => {
+    return store.shopping_lists.filter((list) => list.active).length;
+  };
+
+  const countUncollectedItems = async () => {
+    const activeIds = store.shopping_lists
+      .filter((list) => list.active)
+      .map((list) => list.id);
+    return store.shopping_list_items
+      .filter((item) =>
+        !item.collected && activeIds.includes(item.shopping_list_id)
+      ).length;
+  };
+
+  return { countActiveLists, countItems, countLists, countUncollectedItems };
+};
+
+export { createStatisticsRepository };
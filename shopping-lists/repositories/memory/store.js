@@ -0,0 +1,42 @@
+// The tables of the in-memory database, named after the PostgreSQL ones.
+// Rows are plain objects; the repositories hand out copies so that callers
+// cannot change the stored rows.
+const createStore = () => {
+  return {
+    activity_log: [],
+    list_members: [],
+    shopping_list_items: [],
+    shopping_lists: [],
+    users: [],
+    lastIds: {
+      activity_log: 0,
+      shopping_list_items: 0,
+      shopping_lists: 0,
+      users: 0,
+    },
+  };
+};
+
+const nextId = (store, table) => {
+  store.lastIds[table] += 1;
+  return store.lastIds[table];
+};
+
+const copy = (row) => {
+  return row === undefined ? undefined : structuredClone(row);
+};
+
+// Route parameters arrive as strings, which PostgreSQL converts for us.
+const toId = (value) => {
+  return Number(value);
+};
+
+const paginate = (rows, { limit = null, offset = 0 } = {}) => {
+  return rows.slice(offset, limit === null ? undefined : offset + limit);
+};
+
+const compareText = (a, b) => {
+  return a.localeCompare(b);
+};
+
+export { compareText, copy, createStore, nextId, paginate, toId };
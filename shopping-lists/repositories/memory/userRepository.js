@@ -0,0 +1,37 @@
+import { copy, nextId, toId } from "./store.js";
+
+const createUserRepository = (store) => {
+  // Emails are unique, as enforced by the database.
+  const insert = async (email, passwordHash) => {
+    if (store.users.some((user) => user.email === email)) {
+      throw new Error(`A user with the email ${email} already exists.`);
+    }
+
+    store.users.push({
+      id: nextId(store, "users"),
+      email,
+      password: passwordHash,
+      aisle_order: null,
+    });
+  };
+
+  const findByEmail = async (email) => {
+    return copy(store.users.find((user) => user.email === email));
+  };
+
+  const findAisleOrder = async (userId) => {
+    const user = store.users.find((user) => user.id === toId(userId));
+    return copy(user?.aisle_order) ?? null;
+  };
+
+  const setAisleOrder = async (userId, aisleOrder) => {
+    const user = store.users.find((user) => user.id === toId(userId));
+    if (user) {
+      user.aisle_order = copy(aisleOrder);
+    }
+  };
+
+  return { findAisleOrder, findByEmail, insert, setAisleOrder };
+};
+
+export { createUserRepository };
@@ -0,0 +1,80 @@
+const createActivityRepository = (query) => {
+  const record = async (
+    { shoppingListId, userId, action, itemId = null, details = {} },
+  ) => {
+    await query(
+      `INSERT INTO activity_log
+          (shopping_list_id, user_id, action, item_id, details)
+        VALUES ($1, $2, $3, $4, $5)`,
+      [shoppingListId, userId, action, itemId, details],
+    );
+  };
+
+  // Newest first, with the email of the user who made the change.
+  const findByListId = async (
+    shoppingListId,
+    { limit = null, offset = 0 } = {},
+  ) => {
+    const result = await query(
+      `SELECT activity_log.*, users.email FROM activity_log
+        LEFT JOIN users ON users.id = activity_log.user_id
+        WHERE activity_log.shopping_list_id = $1
+        ORDER BY activity_log.id DESC
+        LIMIT $2 OFFSET $3`,
+      [shoppingListId, limit, offset],
+    );
+    return result.rows;
+  };
+
+  const countByListId = async (shoppingListId) => {
+    const result = await query(
+      `SELECT COUNT(*)::int AS count FROM activity_log
+        WHERE shopping_list_id = $1`,
+      [shoppingListId],
+    );
+    return result.rows[0].count;
+  };
+
+  // The newest entry with one of the actions that has not been undone.
+  // Within a transaction it stays locked until the transaction ends, so that
+  // it is undone only once.
+  const findLatestNotUndone = async (shoppingListId, actions) => {
+    const result = await query(
+      `SELECT * FROM activity_log
+        WHERE shopping_list_id = $1 AND action = ANY($2) AND undone_at IS NULL
+        ORDER BY id DESC
+        LIMIT 1
+        FOR UPDATE`,
+      [shoppingListId, actions],
+    );
+    return result.rows[0];
+  };
+
+  const findByChangeId = async (shoppingListId, changeId) => {
+    const result = await query(
+      `SELECT * FROM activity_log
+        WHERE shopping_list_id = $1 AND details->>'changeId' = $2
+        LIMIT 1`,
+      [shoppingListId, changeId],
+    );
+    return result.rows[0];
+  };
+
+  const markUndone = async (id) => {
+    await query(
+      "UPDATE activity_log SET undone_at = NOW() WHERE id = $1",
+      [id],
+    );
+  };
+
+  return {
+    countByListId,
+    findByChangeId,
+    findByListId,
+    findLatestNotUndone,
+    markUndone,
+    record,
+  };
+};
+
+export { createActivityRepository };
@@ -0,0 +1,67 @@
+import { executeQuery, withTransaction } from "../../database/database.js";
+import { createActivityRepository } from "./activityRepository.js";
+import { createItemRepository } from "./itemRepository.js";
+import { createListRepository } from "./listRepository.js";
+import { createMemberRepository } from "./memberRepository.js";
+import { createSearchRepository } from "./searchRepository.js";
+import { createStatisticsRepository } from "./statisticsRepository.js";
+import { createUserRepository } from "./userRepository.js";
+
+// Every repository runs its SQL through `query`, which is either a pooled
+// connection per query or the connection of a transaction.
+const createRepositories = (query) => {
+  return {
+    activity: createActivityRepository(query),
+    items: createItemRepository(query),
+    lists: createListRepository(query),
+    members: createMemberRepository(query),
+    search: createSearchRepository(query),
+    statistics: createStatisticsRepository(query),
+    users: createUserRepository(query),
+  };
+};
+
+// `scope` ({ requestId }) is passed on to the database, which logs failed
+// queries with it.
+const createScopedRepositories = (scope) => {
+  return {
+    ...createRepositories((query, params) =>
+      executeQuery(query, params, scope)
+    ),
+    transaction: (fn) =>
+      withTransaction((query) => fn(createRepositories(query)), scope),
+  };
+};
+
+// A request makes several service calls, so its repositories are kept for
+// the later ones. Only the latest requests are kept; the oldest one is
+// dropped once there are more.
+const MAX_CACHED_SCOPES = 100;
+
+// `forScope` returns the repositories for the request of `scope`. Only the
+// request ID is kept from `scope`.
+const createPostgresRepositories = () => {
+  const unscoped = createScopedRepositories({});
+  const byRequestId = new Map();
+
+  const forScope = ({ requestId } = {}) => {
+    if (!requestId) {
+      return unscoped;
+    }
+
+    let repositories = byRequestId.get(requestId);
+    if (!repositories) {
+      repositories = createScopedRepositories({ requestId });
+      byRequestId.set(requestId, repositories);
+      if (byRequestId.size > MAX_CACHED_SCOPES) {
+        byRequestId.delete(byRequestId.keys().next().value);
+      }
+    }
+
+    return repositories;
+  };
+
+  return { ...unscoped, forScope };
+};
+
+export { createPostgresRepositories };
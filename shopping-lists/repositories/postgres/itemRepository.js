@@ -0,0 +1,197 @@
+// NUMERIC columns are returned as strings by the driver.
+const toItem = (row) => {
+  return row ? { ...row, quantity: Number(row.quantity) } : row;
+};
+
+const createItemRepository = (query) => {
+  const insert = async (
+    shoppingListId,
+    { name, quantity, unit, category, collected = false },
+  ) => {
+    const result = await query(
+      `INSERT INTO shopping_list_items
+          (shopping_list_id, name, quantity, unit, category, collected)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *`,
+      [shoppingListId, name, quantity, unit, category, collected],
+    );
+    return toItem(result.rows[0]);
+  };
+
+  // Puts a removed item back with its old id, unless the id is taken.
+  const restore = async (
+    { id, shopping_list_id, name, quantity, unit, category, collected },
+  ) => {
+    const result = await query(
+      `INSERT INTO shopping_list_items
+          (id, shopping_list_id, name, quantity, unit, category, collected)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (id) DO NOTHING
+        RETURNING *`,
+      [id, shopping_list_id, name, quantity, unit, category, collected],
+    );
+    return toItem(result.rows[0]);
+  };
+
+  // Adds to the quantity of the first uncollected item with the same name
+  // (ignoring case) and unit, up to `max`. Returns nothing if there is no
+  // such item.
+  const addToQuantity = async (
+    shoppingListId,
+    { name, unit, quantity, max },
+  ) => {
+    const result = await query(
+      `UPDATE shopping_list_items
+        SET quantity = LEAST(quantity + $4, $5), updated_at = NOW()
+        WHERE id = (
+          SELECT id FROM shopping_list_items
+            WHERE shopping_list_id = $1 AND lower(name) = lower($2)
+              AND unit = $3 AND collected = false
+            ORDER BY id
+            LIMIT 1
+        )
+        RETURNING *`,
+      [shoppingListId, name, unit, quantity, max],
+    );
+    return toItem(result.rows[0]);
+  };
+
+  // Copies every item of one list to another, uncollected. Returns the
+  // number of copied items.
+  const copyAll = async (fromListId, toListId) => {
+    const result = await query(
+      `INSERT INTO shopping_list_items
+          (shopping_list_id, name, quantity, unit, category, collected)
+        SELECT $2, name, quantity, unit, category, false
+          FROM shopping_list_items
+          WHERE shopping_list_id = $1
+          ORDER BY id`,
+      [fromListId, toListId],
+    );
+    return result.rowCount ?? 0;
+  };
+
+  const findAllByListId = async (
+    shoppingListId,
+    { limit = null, offset = 0 } = {},
+  ) => {
+    const result = await query(
+      `SELECT * FROM shopping_list_items
+        WHERE shopping_list_id = $1
+        ORDER BY collected, name, id
+        LIMIT $2 OFFSET $3`,
+      [shoppingListId, limit, offset],
+    );
+    return result.rows.map(toItem);
+  };
+
+  const countByListId = async (shoppingListId) => {
+    const result = await query(
+      `SELECT COUNT(*)::int AS count FROM shopping_list_items
+        WHERE shopping_list_id = $1`,
+      [shoppingListId],
+    );
+    return result.rows[0].count;
+  };
+
+  const findById = async (shoppingListId, id) => {
+    const result = await query(
+      `SELECT * FROM shopping_list_items
+        WHERE shopping_list_id = $1 AND id = $2`,
+      [shoppingListId, id],
+    );
+    return toItem(result.rows[0]);
+  };
+
+  // Item names the user has put on several of their lists, most frequent
+  // first, with the unit and category they used last. Names already on the
+  // given list are left out.
+  const findFrequentlyBought = async (userId, shoppingListId, limit) => {
+    const result = await query(
+      `SELECT MIN(items.name) AS name,
+          (ARRAY_AGG(items.unit ORDER BY items.id DESC))[1] AS unit,
+          (ARRAY_AGG(items.category ORDER BY items.id DESC))[1] AS category,
+          COUNT(DISTINCT items.shopping_list_id)::int AS list_count
+        FROM shopping_list_items items
+        JOIN list_members
+          ON list_members.shopping_list_id = items.shopping_list_id
+        WHERE list_members.user_id = $1
+          AND NOT EXISTS (
+            SELECT 1 FROM shopping_list_items existing
+              WHERE existing.shopping_list_id = $2
+                AND lower(existing.name) = lower(items.name)
+          )
+        GROUP BY lower(items.name)
+        HAVING COUNT(DISTINCT items.shopping_list_id) > 1
+        ORDER BY list_count DESC, name
+        LIMIT $3`,
+      [userId, shoppingListId, limit],
+    );
+    return result.rows;
+  };
+
+  // Changes the given fields; fields left null keep their value.
+  const update = async (
+    shoppingListId,
+    id,
+    { name = null, quantity = null, unit = null, category = null },
+  ) => {
+    const result = await query(
+      `UPDATE shopping_list_items SET
+          name = COALESCE($3, name),
+          quantity = COALESCE($4, quantity),
+          unit = COALESCE($5, unit),
+          category = COALESCE($6, category),
+          updated_at = NOW()
+        WHERE shopping_list_id = $1 AND id = $2
+        RETURNING *`,
+      [shoppingListId, id, name, quantity, unit, category],
+    );
+    return toItem(result.rows[0]);
+  };
+
+  // With `changedAt`, the item only changes if it has not changed after
+  // that time, and the time is kept as its `updated_at`.
+  const setCollected = async (
+    shoppingListId,
+    id,
+    collected,
+    changedAt = null,
+  ) => {
+    const result = await query(
+      `UPDATE shopping_list_items
+        SET collected = $3, updated_at = COALESCE($4::timestamptz, NOW())
+        WHERE shopping_list_id = $1 AND id = $2
+          AND ($4::timestamptz IS NULL OR updated_at <= $4::timestamptz)
+        RETURNING *`,
+      [shoppingListId, id, collected, changedAt],
+    );
+    return toItem(result.rows[0]);
+  };
+
+  const deleteById = async (shoppingListId, id) => {
+    const result = await query(
+      `DELETE FROM shopping_list_items
+        WHERE shopping_list_id = $1 AND id = $2
+        RETURNING *`,
+      [shoppingListId, id],
+    );
+    return toItem(result.rows[0]);
+  };
+
+  return {
+    addToQuantity,
+    copyAll,
+    countByListId,
+    deleteById,
+    findAllByListId,
+    findById,
+    findFrequentlyBought,
+    insert,
+    restore,
+    setCollected,
+    update,
+  };
+};
+
+export { createItemRepository };
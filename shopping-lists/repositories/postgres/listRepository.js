@@ -0,0 +1,137 @@
+// Lists are returned together with the `role` of the user they were looked
+// up for.
+const createListRepository = (query) => {
+  // Creates the list and makes the user its owner.
+  const insert = async (userId, name) => {
+    const result = await query(
+      `WITH new_list AS (
+          INSERT INTO shopping_lists (user_id, name) VALUES ($1, $2)
+          RETURNING *
+        ), owner AS (
+          INSERT INTO list_members (shopping_list_id, user_id, role)
+            SELECT id, $1, 'owner' FROM new_list
+        )
+        SELECT new_list.*, 'owner' AS role FROM new_list`,
+      [userId, name],
+    );
+    return result.rows[0];
+  };
+
+  // `active` filters by state when given; `limit` and `offset` paginate.
+  const findAll = async (
+    userId,
+    { active = null, limit = null, offset = 0 } = {},
+  ) => {
+    const result = await query(
+      `SELECT shopping_lists.*, list_members.role FROM shopping_lists
+        JOIN list_members ON list_members.shopping_list_id = shopping_lists.id
+        WHERE list_members.user_id = $1
+          AND ($2::boolean IS NULL OR shopping_lists.active = $2)
+        ORDER BY shopping_lists.id
+        LIMIT $3 OFFSET $4`,
+      [userId, active, limit, offset],
+    );
+    return result.rows;
+  };
+
+  const countAll = async (userId, { active = null } = {}) => {
+    const result = await query(
+      `SELECT COUNT(*)::int AS count FROM list_members
+        JOIN shopping_lists ON shopping_lists.id = list_members.shopping_list_id
+        WHERE list_members.user_id = $1
+          AND ($2::boolean IS NULL OR shopping_lists.active = $2)`,
+      [userId, active],
+    );
+    return result.rows[0].count;
+  };
+
+  // Templates first, then past lists from the most recent.
+  const findReusable = async (userId) => {
+    const result = await query(
+      `SELECT shopping_lists.*, list_members.role FROM shopping_lists
+        JOIN list_members ON list_members.shopping_list_id = shopping_lists.id
+        WHERE list_members.user_id = $1
+          AND (shopping_lists.is_template OR NOT shopping_lists.active)
+        ORDER BY shopping_lists.is_template DESC, shopping_lists.id DESC`,
+      [userId],
+    );
+    return result.rows;
+  };
+
+  // Deactivated lists with their item counts, most recently deactivated
+  // first.
+  const findArchived = async (userId) => {
+    const result = await query(
+      `SELECT shopping_lists.*, list_members.role,
+          (SELECT COUNT(*)::int FROM shopping_list_items
+            WHERE shopping_list_items.shopping_list_id = shopping_lists.id)
+            AS item_count
+        FROM shopping_lists
+        JOIN list_members ON list_members.shopping_list_id = shopping_lists.id
+        WHERE list_members.user_id = $1 AND NOT shopping_lists.active
+        ORDER BY shopping_lists.deactivated_at DESC NULLS LAST,
+          shopping_lists.id DESC`,
+      [userId],
+    );
+    return result.rows;
+  };
+
+  const findById = async (id, userId) => {
+    const result = await query(
+      `SELECT shopping_lists.*, list_members.role FROM shopping_lists
+        JOIN list_members ON list_members.shopping_list_id = shopping_lists.id
+        WHERE shopping_lists.id = $1 AND list_members.user_id = $2`,
+      [id, userId],
+    );
+    return result.rows[0];
+  };
+
+  // The setters return the changed list, without `role`.
+  const rename = async (id, name) => {
+    const result = await query(
+      "UPDATE shopping_lists SET name = $2 WHERE id = $1 RETURNING *",
+      [id, name],
+    );
+    return result.rows[0];
+  };
+
+  const setActive = async (id, active) => {
+    const result = await query(
+      `UPDATE shopping_lists
+        SET active = $2,
+          deactivated_at = CASE WHEN $2 THEN NULL ELSE NOW() END
+        WHERE id = $1
+        RETURNING *`,
+      [id, active],
+    );
+    return result.rows[0];
+  };
+
+  const setTemplate = async (id, isTemplate) => {
+    const result = await query(
+      "UPDATE shopping_lists SET is_template = $2 WHERE id = $1 RETURNING *",
+      [id, isTemplate],
+    );
+    return result.rows[0];
+  };
+
+  // Items, memberships and the activity log are removed with the list.
+  const deleteById = async (id) => {
+    await query("DELETE FROM shopping_lists WHERE id = $1", [id]);
+  };
+
+  return {
+    countAll,
+    deleteById,
+    findAll,
+    findArchived,
+    findById,
+    findReusable,
+    insert,
+    rename,
+    setActive,
+    setTemplate,
+  };
+};
+
+export { createListRepository };
@@ -0,0 +1,39 @@
+const createMemberRepository = (query) => {
+  // The owner first, then the other members by email.
+  const findAllByListId = async (shoppingListId) => {
+    const result = await query(
+      `SELECT users.id AS user_id, users.email, list_members.role
+        FROM list_members JOIN users ON users.id = list_members.user_id
+        WHERE list_members.shopping_list_id = $1
+        ORDER BY list_members.role = 'owner' DESC, users.email`,
+      [shoppingListId],
+    );
+    return result.rows;
+  };
+
+  // Adds the user to the list, or changes the role of an existing member.
+  // The owner's membership is never changed.
+  const addOrUpdate = async (shoppingListId, userId, role) => {
+    const result = await query(
+      `INSERT INTO list_members (shopping_list_id, user_id, role)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (shopping_list_id, user_id)
+          DO UPDATE SET role = EXCLUDED.role WHERE list_members.role <> 'owner'
+        RETURNING user_id`,
+      [shoppingListId, userId, role],
+    );
+    return result.rows.length > 0;
+  };
+
+  const remove = async (shoppingListId, userId) => {
+    await query(
+      `DELETE FROM list_members
+        WHERE shopping_list_id = $1 AND user_id = $2 AND role <> 'owner'`,
+      [shoppingListId, userId],
+    );
+  };
+
+  return { addOrUpdate, findAllByListId, remove };
+};
+
+export { createMemberRepository };
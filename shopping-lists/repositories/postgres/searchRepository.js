@@ -0,0 +1,81 @@
+import { MATCH_START, MATCH_STOP } from "../../utils/highlight.js";
+
+const HEADLINE_OPTIONS =
+  `StartSel=${MATCH_START}, StopSel=${MATCH_STOP}, HighlightAll=true`;
+
+// Lists the user is a member of whose name or item names match the query
+// ($2). A list's rank adds up the ranks of its name and its matching items.
+const MATCHES = `
+  WITH item_matches AS (
+    SELECT shopping_list_id, name,
+        ts_rank(to_tsvector('simple', name), websearch_to_tsquery('simple', $2))
+          AS rank
+      FROM shopping_list_items
+      WHERE to_tsvector('simple', name) @@ websearch_to_tsquery('simple', $2)
+  ),
+  matches AS (
+    SELECT shopping_lists.id, shopping_lists.name, shopping_lists.active,
+        list_members.role,
+        ts_rank(
+          to_tsvector('simple', shopping_lists.name),
+          websearch_to_tsquery('simple', $2)
+        ) + COALESCE(SUM(item_matches.rank), 0) AS rank,
+        ARRAY_AGG(item_matches.name ORDER BY item_matches.rank DESC)
+          FILTER (WHERE item_matches.name IS NOT NULL) AS item_names
+      FROM shopping_lists
+      JOIN list_members ON list_members.shopping_list_id = shopping_lists.id
+      LEFT JOIN item_matches
+        ON item_matches.shopping_list_id = shopping_lists.id
+      WHERE list_members.user_id = $1
+      GROUP BY shopping_lists.id, list_members.role
+      HAVING COUNT(item_matches.name) > 0
+        OR to_tsvector('simple', shopping_lists.name)
+          @@ websearch_to_tsquery('simple', $2)
+  )`;
+
+// PostgreSQL full-text search with the 'simple' configuration (no stemming)
+// and web search syntax. The headlines mark the matches with MATCH_START and
+// MATCH_STOP; `item_headlines` holds the best `itemLimit` matching items.
+const createSearchRepository = (query) => {
+  const search = async (
+    userId,
+    text,
+    { limit = null, offset = 0, itemLimit = 5 } = {},
+  ) => {
+    const result = await query(
+      `${MATCHES}
+      SELECT matches.*,
+          ts_headline('simple', name, websearch_to_tsquery('simple', $2), $3)
+            AS name_headline,
+          ARRAY(
+            SELECT ts_headline(
+                'simple',
+                item.name,
+                websearch_to_tsquery('simple', $2),
+                $3
+              )
+              FROM unnest(item_names[1:$6])
+                WITH ORDINALITY AS item(name, position)
+              ORDER BY item.position
+          ) AS item_headlines
+        FROM matches
+        ORDER BY rank DESC, id DESC
+        LIMIT $4 OFFSET $5`,
+      [userId, text, HEADLINE_OPTIONS, limit, offset, itemLimit],
+    );
+    return result.rows.map((row) => ({ ...row, rank: Number(row.rank) }));
+  };
+
+  const count = async (userId, text) => {
+    const result = await query(
+      `${MATCHES}
+      SELECT COUNT(*)::int AS count FROM matches`,
+      [userId, text],
+    );
+    return result.rows[0].count;
+  };
+
+  return { count, search };
+};
+
+export { createSearchRepository };
@@ -0,0 +1,37 @@
+const createStatisticsRepository = (query) => {
+  const countLists = async () => {
+    const result = await query(
+      "SELECT COUNT(*)::int AS count FROM shopping_lists",
+    );
+    return result.rows[0].count;
+  };
+
+  const countItems = async () => {
+    const result = await query(
+      "SELECT COUNT(*)::int AS count FROM shopping_list_items",
+    );
+    return result.rows[0].count;
+  };
+
+  const countActiveLists = async () => {
+    const result = await query(
+      "SELECT COUNT(*)::int AS count FROM shopping_lists WHERE active",
+    );
+    return result.rows[0].count;
+  };
+
+  // Uncollected items on active lists, i.e. what is still to be bought.
+  const countUncollectedItems = async () => {
+    const result = await query(
+      `SELECT COUNT(*)::int AS count FROM shopping_list_items
+        JOIN shopping_lists
+          ON shopping_lists.id = shopping_list_items.shopping_list_id
+        WHERE shopping_lists.active AND NOT shopping_list_items.collected`,
+    );
+    return result.rows[0].count;
+  };
+
+  return { countActiveLists, countItems, countLists, countUncollectedItems };
+};
+
+export { createStatisticsRepository };
@@ -0,0 +1,35 @@
+const createUserRepository = (query) => {
+  const insert = async (email, passwordHash) => {
+    await query(
+      "INSERT INTO users (email, password) VALUES ($1, $2)",
+      [email, passwordHash],
+    );
+  };
+
+  const findByEmail = async (email) => {
+    const result = await query(
+      "SELECT * FROM users WHERE email = $1",
+      [email],
+    );
+    return result.rows[0];
+  };
+
+  const findAisleOrder = async (userId) => {
+    const result = await query(
+      "SELECT aisle_order FROM users WHERE id = $1",
+      [userId],
+    );
+    return result.rows[0]?.aisle_order ?? null;
+  };
+
+  const setAisleOrder = async (userId, aisleOrder) => {
+    await query(
+      "UPDATE users SET aisle_order = $2 WHERE id = $1",
+      [userId, aisleOrder],
+    );
+  };
+
+  return { findAisleOrder, findByEmail, insert, setAisleOrder };
+};
+
+export { createUserRepository };
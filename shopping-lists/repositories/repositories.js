@@ -0,0 +1,19 @@
+import { createPostgresRepositories } from "./postgres/index.js";
+
+// The services reach the data only through these repositories: PostgreSQL in
+// the app, the in-memory implementation in tests that run without a
+// database.
+let repositories = createPostgresRepositories();
+
+// `scope` ({ requestId }) tells which request the queries are made for, so
+// that failed queries are logged with its ID. Repositories without
+// `forScope`, like the in-memory ones, ignore it.
+const getRepositories = (scope = {}) => {
+  return repositories.forScope?.(scope) ?? repositories;
+};
+
+const useRepositories = (replacement) => {
+  repositories = replacement;
+};
+
+export { getRepositories, useRepositories };
@@ -0,0 +1,28 @@
+import { getRepositories } from "../repositories/repositories.js";
+
+// Collects and removals can be undone, the most recent one first. The other
+// services log their changes through the activity repository of their
+// transaction, so that a change and its log entry are saved together.
+const UNDOABLE_ACTIONS = ["item-collected", "item-removed"];
+
+// Newest first, with the email of the user who made the change.
+const findByListId = async (shoppingListId, options = {}, scope = {}) => {
+  return await getRepositories(scope).activity.findByListId(
+    shoppingListId,
+    options,
+  );
+};
+
+const countByListId = async (shoppingListId, scope = {}) => {
+  return await getRepositories(scope).activity.countByListId(shoppingListId);
+};
+
+// The entry that undoing would revert, if any.
+const findUndoable = async (shoppingListId, scope = {}) => {
+  return await getRepositories(scope).activity.findLatestNotUndone(
+    shoppingListId,
+    UNDOABLE_ACTIONS,
+  );
+};
+
+export { countByListId, findByListId, findUndoable, UNDOABLE_ACTIONS };
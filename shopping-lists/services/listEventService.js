@@ -0,0 +1,84 @@
+import * as logger from "../utils/logger.js";
+
+// In-memory publish/subscribe channels, one per shopping list. Subscribers
+// are the open event streams of the users viewing that list; `close` ends
+// such a stream.
+const channels = new Map();
+
+const subscribe = (shoppingListId, userId, listener, close) => {
+  const key = Number(shoppingListId);
+  if (!channels.has(key)) {
+    channels.set(key, new Set());
+  }
+
+  const subscriber = { userId: Number(userId), listener, close };
+  channels.get(key).add(subscriber);
+
+  return () => {
+    const subscribers = channels.get(key);
+    subscribers?.delete(subscriber);
+    if (subscribers?.size === 0) {
+      channels.delete(key);
+    }
+  };
+};
+
+// The changes have been saved by then, so a broken stream must neither fail
+// the request nor keep the event from the other subscribers.
+const publish = (shoppingListId, type, data) => {
+  const subscribers = channels.get(Number(shoppingListId)) ?? [];
+  for (const { listener } of subscribers) {
+    try {
+      listener({ type, data });
+    } catch (e) {
+      logger.warn("Sending a list event failed", {
+        shoppingListId,
+        type,
+        error: logger.describeError(e),
+      });
+    }
+  }
+};
+
+const closeSubscribers = (key, matches) => {
+  const subscribers = channels.get(key);
+  for (const subscriber of [...subscribers]) {
+    if (matches(subscriber)) {
+      subscribers.delete(subscriber);
+      subscriber.close();
+    }
+  }
+
+  if (subscribers.size === 0) {
+    channels.delete(key);
+  }
+};
+
+// Ends the streams of a list once they may no longer see it: of `userId`
+// when the user is removed from the list, or of everyone when the list is
+// deactivated or deleted. Without a list, ends every stream of `userId`,
+// e.g. on logging out.
+const closeFor = (shoppingListId, userId) => {
+  const keys = shoppingListId === null
+    ? [...channels.keys()]
+    : [Number(shoppingListId)].filter((key) => channels.has(key));
+  for (const key of keys) {
+    closeSubscribers(
+      key,
+      (subscriber) =>
+        userId === undefined || subscriber.userId === Number(userId),
+    );
+  }
+};
+
+// Ends every open stream when the server shuts down. The browsers reconnect,
+// to another instance if there is one.
+const closeAll = () => {
+  const subscribers = [...channels.values()].flatMap((set) => [...set]);
+  channels.clear();
+  for (const { close } of subscribers) {
+    close();
+  }
+};
+
+export { closeAll, closeFor, publish, subscribe };
@@ -0,0 +1,24 @@
+import { getRepositories } from "../repositories/repositories.js";
+import * as listEventService from "./listEventService.js";
+
+// The owner first, then the other members by email.
+const findAllByListId = async (shoppingListId, scope = {}) => {
+  return await getRepositories(scope).members.findAllByListId(shoppingListId);
+};
+
+// Adds the user to the list, or changes the role of an existing member.
+// The owner's membership is never changed.
+const addOrUpdate = async (shoppingListId, userId, role, scope = {}) => {
+  return await getRepositories(scope).members.addOrUpdate(
+    shoppingListId,
+    userId,
+    role,
+  );
+};
+
+const remove = async (shoppingListId, userId, scope = {}) => {
+  await getRepositories(scope).members.remove(shoppingListId, userId);
+  listEventService.closeFor(shoppingListId, userId);
+};
+
+export { addOrUpdate, findAllByListId, remove };
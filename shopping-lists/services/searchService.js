@@ -0,0 +1,41 @@
+import { getRepositories } from "../repositories/repositories.js";
+import { toHtml } from "../utils/highlight.js";
+
+const MAX_ITEMS_PER_RESULT = 5;
+
+const toResult = (row) => {
+  return {
+    id: row.id,
+    name: row.name,
+    active: row.active,
+    role: row.role,
+    rank: row.rank,
+    highlights: {
+      name: toHtml(row.name_headline),
+      items: row.item_headlines.map(toHtml),
+    },
+  };
+};
+
+// Lists the user is a member of whose name or item names match `text`,
+// ranked, with their highlighted names as HTML; `items` holds the best
+// matching items of each list.
+const search = async (
+  userId,
+  text,
+  { limit = null, offset = 0 } = {},
+  scope = {},
+) => {
+  const rows = await getRepositories(scope).search.search(userId, text, {
+    limit,
+    offset,
+    itemLimit: MAX_ITEMS_PER_RESULT,
+  });
+  return rows.map(toResult);
+};
+
+const count = async (userId, text, scope = {}) => {
+  return await getRepositories(scope).search.count(userId, text);
+};
+
+export { count, search };
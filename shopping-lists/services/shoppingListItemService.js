@@ -0,0 +1,306 @@
+import { getRepositories } from "../repositories/repositories.js";
+import {
+  DEFAULT_CATEGORY,
+  DEFAULT_UNIT,
+  MAX_QUANTITY,
+} from "../utils/itemAttributes.js";
+import { UNDOABLE_ACTIONS } from "./activityService.js";
+import * as listEventService from "./listEventService.js";
+
+const FREQUENTLY_BOUGHT_LIMIT = 10;
+
+// Logs the change made by `userId` together with the item as it is now, in
+// the same transaction (`repositories`). `changeId` is kept with it, see
+// findReplayedItem.
+const recordChange = async (
+  repositories,
+  userId,
+  action,
+  item,
+  changeId = null,
+) => {
+  const { name, quantity, unit, category, collected } = item;
+  await repositories.activity.record({
+    shoppingListId: item.shopping_list_id,
+    userId,
+    action,
+    itemId: item.id,
+    details: {
+      name,
+      quantity,
+      unit,
+      category,
+      collected,
+      ...(changeId ? { changeId } : {}),
+    },
+  });
+};
+
+// Changes made offline carry an id chosen by the client. A change whose
+// response was lost is sent again, so a change with a known id is not
+// applied twice: `applied` tells so, with the item as it is now.
+const findReplayedItem = async (repositories, shoppingListId, changeId) => {
+  const entry = changeId
+    ? await repositories.activity.findByChangeId(shoppingListId, changeId)
+    : null;
+  if (!entry) {
+    return { applied: false };
+  }
+
+  return {
+    applied: true,
+    item: await repositories.items.findById(shoppingListId, entry.item_id),
+  };
+};
+
+// Adding an item that is already on the list (same name and unit, not yet
+// collected) increases its quantity instead of creating a duplicate, to at
+// most MAX_QUANTITY. A replayed change (`changeId`) that has been applied
+// already returns the item as it is now, or nothing if it has been removed.
+const create = async (
+  shoppingListId,
+  {
+    name,
+    quantity = 1,
+    unit = DEFAULT_UNIT,
+    category = DEFAULT_CATEGORY,
+    changeId = null,
+  },
+  userId,
+  scope = {},
+) => {
+  const { item, event } = await getRepositories(scope).transaction(
+    async (repositories) => {
+      const replayed = await findReplayedItem(
+        repositories,
+        shoppingListId,
+        changeId,
+      );
+      if (replayed.applied) {
+        return { item: replayed.item, event: null };
+      }
+
+      const merged = await repositories.items.addToQuantity(shoppingListId, {
+        name,
+        unit,
+        quantity,
+        max: MAX_QUANTITY,
+      });
+      if (merged) {
+        await recordChange(
+          repositories,
+          userId,
+          "item-merged",
+          merged,
+          changeId,
+        );
+        return { item: merged, event: "item-updated" };
+      }
+
+      const item = await repositories.items.insert(shoppingListId, {
+        name,
+        quantity,
+        unit,
+        category,
+      });
+      await recordChange(repositories, userId, "item-added", item, changeId);
+      return { item, event: "item-added" };
+    },
+  );
+
+  if (event) {
+    listEventService.publish(shoppingListId, event, item);
+  }
+
+  return item;
+};
+
+const findAllByListId = async (shoppingListId, options = {}, scope = {}) => {
+  return await getRepositories(scope).items.findAllByListId(
+    shoppingListId,
+    options,
+  );
+};
+
+const countByListId = async (shoppingListId, scope = {}) => {
+  return await getRepositories(scope).items.countByListId(shoppingListId);
+};
+
+const findById = async (shoppingListId, id, scope = {}) => {
+  return await getRepositories(scope).items.findById(shoppingListId, id);
+};
+
+// Item names the user has put on several of their lists, most frequent
+// first, with the unit and category they used last. Names already on the
+// given list are left out.
+const findFrequentlyBought = async (userId, shoppingListId, scope = {}) => {
+  return await getRepositories(scope).items.findFrequentlyBought(
+    userId,
+    shoppingListId,
+    FREQUENTLY_BOUGHT_LIMIT,
+  );
+};
+
+// Changes the given fields; fields left undefined keep their value.
+const update = async (shoppingListId, id, fields, userId, scope = {}) => {
+  const item = await getRepositories(scope).transaction(
+    async (repositories) => {
+      const item = await repositories.items.update(shoppingListId, id, fields);
+      if (item) {
+        await recordChange(repositories, userId, "item-updated", item);
+      }
+
+      return item;
+    },
+  );
+
+  if (item) {
+    listEventService.publish(shoppingListId, "item-updated", item);
+  }
+
+  return item;
+};
+
+// `changedAt` is given for changes that were made offline and are replayed
+// later. Such a change only applies if the item has not changed after it
+// (on equal times the replayed change wins), so the latest change wins no
+// matter in which order they reach the server. Otherwise nothing is returned.
+// A change (`changeId`) that has been applied already returns the item as it
+// is now.
+const setCollected = async (
+  shoppingListId,
+  id,
+  collected,
+  userId,
+  { changedAt = null, changeId = null } = {},
+  scope = {},
+) => {
+  const action = collected ? "item-collected" : "item-uncollected";
+  const { item, event } = await getRepositories(scope).transaction(
+    async (repositories) => {
+      const replayed = await findReplayedItem(
+        repositories,
+        shoppingListId,
+        changeId,
+      );
+      if (replayed.applied) {
+        return { item: replayed.item, event: null };
+      }
+
+      const item = await repositories.items.setCollected(
+        shoppingListId,
+        id,
+        collected,
+        changedAt,
+      );
+      if (!item) {
+        return { item, event: null };
+      }
+
+      await recordChange(repositories, userId, action, item, changeId);
+      return { item, event: action };
+    },
+  );
+
+  if (event) {
+    listEventService.publish(shoppingListId, event, item);
+  }
+
+  return item;
+};
+
+const deleteById = async (shoppingListId, id, userId, scope = {}) => {
+  const item = await getRepositories(scope).transaction(
+    async (repositories) => {
+      const item = await repositories.items.deleteById(shoppingListId, id);
+      if (item) {
+        await recordChange(repositories, userId, "item-removed", item);
+      }
+
+      return item;
+    },
+  );
+
+  if (item) {
+    listEventService.publish(shoppingListId, "item-removed", item);
+  }
+
+  return item;
+};
+
+const undoEntry = async (repositories, shoppingListId, userId, entry) => {
+  if (entry.action === "item-collected") {
+    const item = await repositories.items.findById(
+      shoppingListId,
+      entry.item_id,
+    );
+    if (!item?.collected) {
+      return null;
+    }
+
+    const uncollected = await repositories.items.setCollected(
+      shoppingListId,
+      item.id,
+      false,
+    );
+    await recordChange(
+      repositories,
+      userId,
+      "item-collect-undone",
+      uncollected,
+    );
+    return { event: "item-uncollected", item: uncollected };
+  }
+
+  const { changeId: _changeId, ...details } = entry.details;
+  const item = await repositories.items.restore({
+    ...details,
+    id: entry.item_id,
+    shopping_list_id: shoppingListId,
+  });
+  if (!item) {
+    return null;
+  }
+
+  await recordChange(repositories, userId, "item-remove-undone", item);
+  return { event: "item-added", item };
+};
+
+// Reverts the most recent collect or removal on the list that has not been
+// undone yet; a removed item comes back with its old id. Returns the item,
+// or nothing when there is nothing to undo or the item was uncollected or
+// restored in the meantime (the entry then counts as undone all the same).
+const undoLast = async (shoppingListId, userId, scope = {}) => {
+  const undone = await getRepositories(scope).transaction(
+    async (repositories) => {
+      const entry = await repositories.activity.findLatestNotUndone(
+        shoppingListId,
+        UNDOABLE_ACTIONS,
+      );
+      if (!entry) {
+        return null;
+      }
+
+      await repositories.activity.markUndone(entry.id);
+      return await undoEntry(repositories, shoppingListId, userId, entry);
+    },
+  );
+
+  if (undone) {
+    listEventService.publish(shoppingListId, undone.event, undone.item);
+  }
+
+  return undone?.item;
+};
+
+export {
+  countByListId,
+  create,
+  deleteById,
+  findAllByListId,
+  findById,
+  findFrequentlyBought,
+  setCollected,
+  undoLast,
+  update,
+};
@@ -0,0 +1,154 @@
+import { getRepositories } from "../repositories/repositories.js";
+import * as listEventService from "./listEventService.js";
+
+// Logs a change to the list in the same transaction (`repositories`).
+const recordChange = async (
+  repositories,
+  userId,
+  action,
+  list,
+  details = {},
+) => {
+  await repositories.activity.record({
+    shoppingListId: list.id,
+    userId,
+    action,
+    details: { name: list.name, ...details },
+  });
+};
+
+// Lists are visible to their members; `role` tells what the user may do.
+const create = async (userId, name, scope = {}) => {
+  return await getRepositories(scope).transaction(async (repositories) => {
+    const list = await repositories.lists.insert(userId, name);
+    await recordChange(repositories, userId, "list-created", list);
+    return list;
+  });
+};
+
+// Creates the list together with its items; if any insert fails, nothing is
+// created.
+const createWithItems = async (userId, name, items, scope = {}) => {
+  return await getRepositories(scope).transaction(async (repositories) => {
+    const list = await repositories.lists.insert(userId, name);
+    for (const item of items) {
+      await repositories.items.insert(list.id, item);
+    }
+
+    await recordChange(repositories, userId, "list-imported", list, {
+      itemCount: items.length,
+    });
+    return list;
+  });
+};
+
+// The copy gets all items of the source list, none of them collected.
+const copy = async (userId, sourceId, name, scope = {}) => {
+  return await getRepositories(scope).transaction(async (repositories) => {
+    const list = await repositories.lists.insert(userId, name);
+    const itemCount = await repositories.items.copyAll(sourceId, list.id);
+
+    await recordChange(repositories, userId, "list-copied", list, {
+      sourceId,
+      itemCount,
+    });
+    return list;
+  });
+};
+
+// `active` filters by state when given; `limit` and `offset` paginate.
+const findAll = async (userId, options = {}, scope = {}) => {
+  return await getRepositories(scope).lists.findAll(userId, options);
+};
+
+const countAll = async (userId, options = {}, scope = {}) => {
+  return await getRepositories(scope).lists.countAll(userId, options);
+};
+
+const findAllActiveLists = async (userId, scope = {}) => {
+  return await findAll(userId, { active: true }, scope);
+};
+
+// Lists worth starting a new one from: templates first, then past lists
+// from the most recent.
+const findReusable = async (userId, scope = {}) => {
+  return await getRepositories(scope).lists.findReusable(userId);
+};
+
+// Deactivated lists with their item counts, most recently deactivated first.
+const findArchived = async (userId, scope = {}) => {
+  return await getRepositories(scope).lists.findArchived(userId);
+};
+
+const findById = async (id, userId, scope = {}) => {
+  return await getRepositories(scope).lists.findById(id, userId);
+};
+
+const findActiveById = async (id, userId, scope = {}) => {
+  const list = await findById(id, userId, scope);
+  return list?.active ? list : undefined;
+};
+
+const findArchivedById = async (id, userId, scope = {}) => {
+  const list = await findById(id, userId, scope);
+  return list && !list.active ? list : undefined;
+};
+
+const rename = async (id, name, userId, scope = {}) => {
+  await getRepositories(scope).transaction(async (repositories) => {
+    const list = await repositories.lists.rename(id, name);
+    await recordChange(repositories, userId, "list-renamed", list);
+  });
+};
+
+const setActive = async (id, active, userId, scope = {}) => {
+  await getRepositories(scope).transaction(async (repositories) => {
+    const list = await repositories.lists.setActive(id, active);
+    await recordChange(
+      repositories,
+      userId,
+      active ? "list-reactivated" : "list-deactivated",
+      list,
+    );
+  });
+
+  if (!active) {
+    listEventService.closeFor(id);
+  }
+};
+
+const setTemplate = async (id, isTemplate, userId, scope = {}) => {
+  await getRepositories(scope).transaction(async (repositories) => {
+    const list = await repositories.lists.setTemplate(id, isTemplate);
+    await recordChange(
+      repositories,
+      userId,
+      isTemplate ? "list-marked-template" : "list-unmarked-template",
+      list,
+    );
+  });
+};
+
+// Items, memberships and the activity log are removed with the list.
+const deleteById = async (id, scope = {}) => {
+  await getRepositories(scope).lists.deleteById(id);
+  listEventService.closeFor(id);
+};
+
+export {
+  copy,
+  countAll,
+  create,
+  createWithItems,
+  deleteById,
+  findActiveById,
+  findAll,
+  findAllActiveLists,
+  findArchived,
+  findArchivedById,
+  findById,
+  findReusable,
+  rename,
+  setActive,
+  setTemplate,
+};
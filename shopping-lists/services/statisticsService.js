@@ -0,0 +1,20 @@
+import { getRepositories } from "../repositories/repositories.js";
+
+const countLists = async (scope = {}) => {
+  return await getRepositories(scope).statistics.countLists();
+};
+
+const countItems = async (scope = {}) => {
+  return await getRepositories(scope).statistics.countItems();
+};
+
+const countActiveLists = async (scope = {}) => {
+  return await getRepositories(scope).statistics.countActiveLists();
+};
+
+// Uncollected items on active lists, i.e. what is still to be bought.
+const countUncollectedItems = async (scope = {}) => {
+  return await getRepositories(scope).statistics.countUncollectedItems();
+};
+
+export { countActiveLists, countItems, countLists, countUncollectedItems };
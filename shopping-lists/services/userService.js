@@ -0,0 +1,19 @@
+import { getRepositories } from "../repositories/repositories.js";
+
+const addUser = async (email, passwordHash, scope = {}) => {
+  await getRepositories(scope).users.insert(email, passwordHash);
+};
+
+const findUserByEmail = async (email, scope = {}) => {
+  return await getRepositories(scope).users.findByEmail(email);
+};
+
+const findAisleOrder = async (userId, scope = {}) => {
+  return await getRepositories(scope).users.findAisleOrder(userId);
+};
+
+const setAisleOrder = async (userId, aisleOrder, scope = {}) => {
+  await getRepositories(scope).users.setAisleOrder(userId, aisleOrder);
+};
+
+export { addUser, findAisleOrder, findUserByEmail, setAisleOrder };
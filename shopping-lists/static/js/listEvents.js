@@ -0,0 +1,46 @@
+// Refreshes the items of the shown list whenever another member changes
+// them, so that the changes appear without reloading the page. The items are
+// re-fetched as rendered by the server, which keeps their grouping and order.
+(() => {
+  const items = document.getElementById("items");
+  if (!items || !window.EventSource) {
+    return;
+  }
+
+  const REFRESH_DELAY_MS = 200;
+  const listId = items.dataset.listId;
+  let refreshTimeout;
+
+  const refreshItems = async () => {
+    const response = await fetch(window.location.pathname, {
+      headers: { "Accept": "text/html" },
+    });
+    if (!response.ok) {
+      return;
+    }
+
+    const page = new DOMParser().parseFromString(
+      await response.text(),
+      "text/html",
+    );
+    const refreshed = page.getElementById("items");
+    if (refreshed) {
+      items.innerHTML = refreshed.innerHTML;
+    }
+  };
+
+  // Bursts of events, e.g. several quick collects, cause a single refresh.
+  const scheduleRefresh = () => {
+    clearTimeout(refreshTimeout);
+    refreshTimeout = setTimeout(refreshItems, REFRESH_DELAY_MS);
+  };
+
+  const source = new EventSource(`/lists/${listId}/events`);
+  [
+    "item-added",
+    "item-updated",
+    "item-collected",
+    "item-uncollected",
+    "item-removed",
+  ].forEach((type) => source.addEventListener(type, scheduleRefresh));
+})();
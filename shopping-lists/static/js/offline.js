@@ -0,0 +1,67 @@
+// Registers the service worker, asks it to send changes queued while
+// offline, and marks the items of the shown list that have such changes.
+(() => {
+  if (!("serviceWorker" in navigator)) {
+    return;
+  }
+
+  const notice = document.getElementById("offline-notice");
+  const items = document.getElementById("items");
+
+  const requestReplay = async () => {
+    const registration = await navigator.serviceWorker.ready;
+    registration.active?.postMessage({ type: "replay" });
+  };
+
+  const showConnectionState = () => {
+    notice?.classList.toggle("d-none", navigator.onLine);
+  };
+
+  const markPendingChanges = async () => {
+    if (!items || !self.offlineQueue) {
+      return;
+    }
+
+    const changes = (await offlineQueue.all())
+      .filter((change) => change.listId === items.dataset.listId);
+
+    changes
+      .filter((change) => change.type !== "add")
+      .forEach((change) => {
+        const item = items.querySelector(`[data-item-id="${change.itemId}"]`);
+        if (item && !item.querySelector(".pending-change")) {
+          const badge = document.createElement("span");
+          badge.className = "badge badge-warning ml-2 pending-change";
+          badge.textContent = `${change.type} pending`;
+          item.firstElementChild.append(badge);
+        }
+      });
+
+    const added = changes.filter((change) => change.type === "add");
+    if (added.length > 0) {
+      const pending = document.createElement("p");
+      pending.className = "alert alert-warning";
+      pending.textContent = `Waiting for a connection to add: ${
+        added.map((change) => change.item.name).join(", ")
+      }`;
+      items.prepend(pending);
+    }
+  };
+
+  navigator.serviceWorker.register("/sw.js");
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    if (event.data?.type === "changes-replayed" && items) {
+      window.location.reload();
+    }
+  });
+
+  window.addEventListener("online", () => {
+    showConnectionState();
+    requestReplay();
+  });
+  window.addEventListener("offline", showConnectionState);
+
+  showConnectionState();
+  markPendingChanges();
+  requestReplay();
+})();
@@ -0,0 +1,44 @@
+// Changes made to lists without a connection, kept in IndexedDB until they
+// can be sent. Loaded by the pages (to show what is pending) and by the
+// service worker (which queues and replays the changes).
+self.offlineQueue = (() => {
+  const DB_NAME = "shopping-lists";
+  const STORE_NAME = "changes";
+
+  const openDatabase = () => {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  };
+
+  const withStore = async (mode, operation) => {
+    const db = await openDatabase();
+    try {
+      return await new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = operation(transaction.objectStore(STORE_NAME));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+      });
+    } finally {
+      db.close();
+    }
+  };
+
+  // Keys are increasing, so `all` returns the changes in the order they
+  // were made.
+  const add = (change) => withStore("readwrite", (store) => store.add(change));
+  const all = () => withStore("readonly", (store) => store.getAll());
+  const remove = (id) => withStore("readwrite", (store) => store.delete(id));
+  const clear = () => withStore("readwrite", (store) => store.clear());
+
+  return { add, all, clear, remove };
+})();
@@ -0,0 +1,251 @@
+// Served as /sw.js so that it controls every page. The server prepends
+// CACHE_NAME, PRECACHE_URLS and QUEUE_SCRIPT_URL.
+//
+// List pages are cached whenever they are loaded, and shown from the cache
+// when there is no connection. Adding, collecting and uncollecting items
+// without a connection queues the change and shows the cached list again;
+// queued changes are replayed through the JSON API once the connection is
+// back.
+importScripts(QUEUE_SCRIPT_URL);
+
+const PAGE_CACHE_NAME = "shopping-lists-pages";
+const OFFLINE_URL = "/offline";
+const REPLAY_TAG = "replay-changes";
+
+// Only the list pages are cached; everything else needs a connection.
+const CACHED_PAGE = /^\/lists(\/\d+)?$/;
+
+const QUEUEABLE_FORMS = [
+  { type: "add", pattern: /^\/lists\/(\d+)\/items$/ },
+  { type: "collect", pattern: /^\/lists\/(\d+)\/items\/(\d+)\/collect$/ },
+  { type: "uncollect", pattern: /^\/lists\/(\d+)\/items\/(\d+)\/uncollect$/ },
+];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then((cache) => cache.addAll([...PRECACHE_URLS, OFFLINE_URL]))
+      .then(() => self.skipWaiting()),
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => ![CACHE_NAME, PAGE_CACHE_NAME].includes(name))
+            .map((name) => caches.delete(name)),
+        )
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+const cacheFirst = async (request) => {
+  const cached = await caches.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.put(request, response.clone());
+  }
+
+  return response;
+};
+
+// Redirected responses are e.g. the login page and are not kept.
+const networkFirst = async (request) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok && !response.redirected) {
+      const cache = await caches.open(PAGE_CACHE_NAME);
+      await cache.put(request, response.clone());
+    }
+
+    return response;
+  } catch (e) {
+    const cached = await caches.match(request, { ignoreSearch: true }) ??
+      await caches.match(OFFLINE_URL);
+    if (cached) {
+      return cached;
+    }
+
+    throw e;
+  }
+};
+
+// The item forms carry the id of the user who made the change, and every
+// change gets an id of its own that the server uses to apply it only once.
+const toChange = (type, match, formData) => {
+  const [, listId, itemId] = match;
+  const change = {
+    type,
+    listId,
+    itemId,
+    changeId: crypto.randomUUID(),
+    userId: formData.get("userId"),
+    changedAt: new Date().toISOString(),
+  };
+  if (type === "add") {
+    change.item = {
+      name: formData.get("name"),
+      quantity: formData.get("quantity"),
+      unit: formData.get("unit"),
+      category: formData.get("category"),
+    };
+  }
+
+  return change;
+};
+
+// The form is posted as usual; only when that fails for lack of a
+// connection is the change queued, and the list shown from the cache. The
+// post may have reached the server all the same, with only the response
+// lost; replaying it then changes nothing, see toChange.
+const postOrQueue = async (request, type, match) => {
+  const formData = await request.clone().formData();
+  try {
+    return await fetch(request);
+  } catch (_e) {
+    await offlineQueue.add(toChange(type, match, formData));
+    await self.registration.sync?.register(REPLAY_TAG).catch(() => {});
+    return Response.redirect(`/lists/${match[1]}`, 303);
+  }
+};
+
+// Cached pages and queued changes belong to the user who logs out.
+const logout = async (request) => {
+  const response = await fetch(request);
+  await caches.delete(PAGE_CACHE_NAME);
+  await offlineQueue.clear();
+  const cache = await caches.open(CACHE_NAME);
+  await cache.add(OFFLINE_URL).catch(() => {});
+  return response;
+};
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.method === "GET") {
+    if (url.pathname.startsWith("/static/")) {
+      event.respondWith(cacheFirst(request));
+    } else if (request.mode === "navigate" && CACHED_PAGE.test(url.pathname)) {
+      event.respondWith(networkFirst(request));
+    }
+    return;
+  }
+
+  if (request.method !== "POST") {
+    return;
+  }
+
+  if (url.pathname === "/auth/logout") {
+    event.respondWith(logout(request));
+    return;
+  }
+
+  for (const { type, pattern } of QUEUEABLE_FORMS) {
+    const match = url.pathname.match(pattern);
+    if (match) {
+      event.respondWith(postOrQueue(request, type, match));
+      return;
+    }
+  }
+});
+
+const apiRequestFor = (change) => {
+  const listPath = `/api/v1/lists/${change.listId}`;
+  if (change.type === "add") {
+    const { quantity, ...item } = change.item;
+    return {
+      path: `${listPath}/items`,
+      body: {
+        ...item,
+        quantity: quantity ? Number(quantity) : undefined,
+        changeId: change.changeId,
+      },
+    };
+  }
+
+  return {
+    path: `${listPath}/items/${change.itemId}/${change.type}`,
+    body: { changedAt: change.changedAt, changeId: change.changeId },
+  };
+};
+
+// Sends the queued changes in the order they were made. A change the server
+// rejects (e.g. 409 when the item was changed later by someone else, or 404
+// when it was removed) is dropped: the server's state is the resolved one.
+// So are the changes of another user than the one logged in now. Without a
+// connection, a session or a working server the rest is kept for the next
+// attempt.
+const replayChanges = async () => {
+  const changes = await offlineQueue.all();
+  if (changes.length === 0) {
+    return;
+  }
+
+  const tokenResponse = await fetch("/api/v1/csrf-token");
+  const { token, userId } = await tokenResponse.json();
+  if (userId === null) {
+    return;
+  }
+
+  for (const change of changes) {
+    if (change.userId !== String(userId)) {
+      await offlineQueue.remove(change.id);
+      continue;
+    }
+
+    const { path, body } = apiRequestFor(change);
+    const response = await fetch(path, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-CSRF-Token": token,
+      },
+      body: JSON.stringify(body),
+    });
+    if (response.status === 401 || response.status >= 500) {
+      return;
+    }
+
+    await offlineQueue.remove(change.id);
+  }
+
+  const clients = await self.clients.matchAll({ type: "window" });
+  clients.forEach((client) => client.postMessage({ type: "changes-replayed" }));
+};
+
+// Pages ask for a replay when they load and when the connection returns;
+// browsers with background sync also replay without an open page.
+let replaying = null;
+const replay = () => {
+  replaying ??= replayChanges()
+    .catch(() => {})
+    .finally(() => {
+      replaying = null;
+    });
+  return replaying;
+};
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "replay") {
+    event.waitUntil(replay());
+  }
+});
+
+self.addEventListener("sync", (event) => {
+  if (event.tag === REPLAY_TAG) {
+    event.waitUntil(replay());
+  }
+});
@@ -0,0 +1,52 @@
+import { loadConfig } from "../config.js";
+import { assertEquals, assertRejects } from "./deps.js";
+
+const envOf = (variables) => new Map(Object.entries(variables));
+
+Deno.test("unset variables fall back to their defaults", async () => {
+  const config = await loadConfig(envOf({ LOG_LEVEL: " WARN " }));
+
+  assertEquals(config.port, 7777);
+  assertEquals(config.dbPoolSize, 2);
+  assertEquals(config.logLevel, "warn");
+  assertEquals(config.databaseUrl, null);
+});
+
+Deno.test("an invalid PORT names the variable and the problem", async () => {
+  await assertRejects(
+    () => loadConfig(envOf({ PORT: "70000" })),
+    Error,
+    "PORT: Must be a whole number between 1 and 65535.",
+  );
+});
+
+Deno.test("an invalid DB_POOL_SIZE names the variable", async () => {
+  await assertRejects(
+    () => loadConfig(envOf({ DB_POOL_SIZE: "0" })),
+    Error,
+    "DB_POOL_SIZE: Must be a whole number between 1 and 100.",
+  );
+});
+
+Deno.test("an invalid LOG_LEVEL lists the valid ones", async () => {
+  await assertRejects(
+    () => loadConfig(envOf({ LOG_LEVEL: "verbose" })),
+    Error,
+    "LOG_LEVEL: Must be one of: debug, info, warn, error.",
+  );
+});
+
+Deno.test("every invalid variable is reported at once", async () => {
+  let message;
+  try {
+    await loadConfig(envOf({ PORT: "http", LOG_LEVEL: "" }));
+  } catch (e) {
+    message = e.message;
+  }
+
+  assertEquals(message?.split("\n").map((line) => line.trim()), [
+    "Invalid configuration:",
+    "PORT: Must be a whole number between 1 and 65535.",
+    "LOG_LEVEL: This field is required.",
+  ]);
+});
@@ -0,0 +1,74 @@
+import * as shoppingListController from "../../controllers/shoppingListController.js";
+import * as shoppingListService from "../../services/shoppingListService.js";
+import { assertEquals } from "../deps.js";
+import { createContext, createUser, test } from "../harness.js";
+
+test("addList creates the list and redirects", async (repositories) => {
+  const user = await createUser(repositories, "owner@example.com");
+
+  const response = await shoppingListController.addList(
+    createContext({ user, form: { name: " Groceries " } }),
+  );
+
+  assertEquals(response.status, 303);
+  assertEquals(response.headers.get("Location"), "/lists");
+  const [list] = await shoppingListService.findAll(user.id);
+  assertEquals(list.name, "Groceries");
+});
+
+test("addList shows the errors for an empty name", async (repositories) => {
+  const user = await createUser(repositories, "owner@example.com");
+
+  const page = await shoppingListController.addList(
+    createContext({ user, form: { name: " " } }),
+  );
+
+  assertEquals(page.template, "lists.eta");
+  assertEquals(Object.keys(page.data.errors), ["name"]);
+  assertEquals(await shoppingListService.countAll(user.id), 0);
+});
+
+test("copyList refuses lists of other users", async (repositories) => {
+  const owner = await createUser(repositories, "owner@example.com");
+  const other = await createUser(repositories, "other@example.com");
+  const list = await shoppingListService.create(owner.id, "Groceries");
+
+  const page = await shoppingListController.copyList(
+    createContext({ user: other, form: { source: String(list.id) } }),
+  );
+
+  assertEquals(page.data.copyErrors.source, ["Choose one of your lists."]);
+  assertEquals(await shoppingListService.countAll(other.id), 0);
+});
+
+test("viewList shows the list to a viewer without edit rights", async (
+  repositories,
+) => {
+  const owner = await createUser(repositories, "owner@example.com");
+  const viewer = await createUser(repositories, "viewer@example.com");
+  const list = await shoppingListService.create(owner.id, "Groceries");
+  await repositories.members.addOrUpdate(list.id, viewer.id, "viewer");
+
+  const page = await shoppingListController.viewList(
+    createContext({ user: viewer, params: { id: String(list.id) } }),
+  );
+
+  assertEquals(page.template, "list.eta");
+  assertEquals(page.data.canEdit, false);
+  assertEquals(page.data.undoable, null);
+});
+
+test("deactivateList is only for the owner", async (repositories) => {
+  const owner = await createUser(repositories, "owner@example.com");
+  const editor = await createUser(repositories, "editor@example.com");
+  const list = await shoppingListService.create(owner.id, "Groceries");
+  await repositories.members.addOrUpdate(list.id, editor.id, "editor");
+
+  const response = await shoppingListController.deactivateList(
+    createContext({ user: editor, params: { id: String(list.id) } }),
+  );
+
+  assertEquals(response.status, 403);
+  const unchanged = await shoppingListService.findById(list.id, owner.id);
+  assertEquals(unchanged.active, true);
+});
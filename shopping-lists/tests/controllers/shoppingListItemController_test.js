@@ -0,0 +1,61 @@
+import * as shoppingListItemController from "../../controllers/shoppingListItemController.js";
+import * as shoppingListItemService from "../../services/shoppingListItemService.js";
+import * as shoppingListService from "../../services/shoppingListService.js";
+import { assertEquals } from "../deps.js";
+import { createContext, createUser, test } from "../harness.js";
+
+const itemForm = (fields = {}) => {
+  return {
+    name: "Milk",
+    quantity: "1",
+    unit: "pcs",
+    category: "other",
+    ...fields,
+  };
+};
+
+test("addItem adds the item from the form", async (repositories) => {
+  const user = await createUser(repositories, "owner@example.com");
+  const list = await shoppingListService.create(user.id, "Groceries");
+
+  const response = await shoppingListItemController.addItem(
+    createContext({
+      user,
+      params: { id: String(list.id) },
+      form: itemForm({ quantity: "2.5" }),
+    }),
+  );
+
+  assertEquals(response.status, 303);
+  const [item] = await shoppingListItemService.findAllByListId(list.id);
+  assertEquals(item.quantity, 2.5);
+});
+
+test("addItem shows the errors of an invalid form", async (repositories) => {
+  const user = await createUser(repositories, "owner@example.com");
+  const list = await shoppingListService.create(user.id, "Groceries");
+
+  const page = await shoppingListItemController.addItem(
+    createContext({
+      user,
+      params: { id: String(list.id) },
+      form: itemForm({ name: "", quantity: "many" }),
+    }),
+  );
+
+  assertEquals(page.template, "list.eta");
+  assertEquals(Object.keys(page.data.itemErrors).sort(), ["name", "quantity"]);
+});
+
+test("collectItem of a missing item shows the not found page", async (
+  repositories,
+) => {
+  const user = await createUser(repositories, "owner@example.com");
+  const list = await shoppingListService.create(user.id, "Groceries");
+
+  const response = await shoppingListItemController.collectItem(
+    createContext({ user, params: { id: String(list.id), itemId: "999" } }),
+  );
+
+  assertEquals(response.status, 404);
+});
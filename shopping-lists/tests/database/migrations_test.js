@@ -0,0 +1,18 @@
+import { checksum } from "../../database/migrations.js";
+import { assertEquals } from "../deps.js";
+
+Deno.test("checksum is Flyway's signed CRC-32 of the lines", () => {
+  assertEquals(checksum("123456789"), 0xCBF43926 | 0);
+  assertEquals(checksum("SELECT 1;\n"), checksum("SELECT 1;"));
+});
+
+Deno.test("checksum ignores line breaks and the byte order mark", () => {
+  const sql = "CREATE TABLE a (id INT);\nCREATE TABLE b (id INT);\n";
+
+  assertEquals(checksum(sql.replaceAll("\n", "\r\n")), checksum(sql));
+  assertEquals(checksum(`\uFEFF${sql}`), checksum(sql));
+  assertEquals(
+    checksum("CREATE TABLE a (id INT);CREATE TABLE b (id INT);"),
+    checksum(sql),
+  );
+});
@@ -0,0 +1,18 @@
+import { createPostgresRepositories } from "../../repositories/postgres/index.js";
+import { assert } from "../deps.js";
+
+// Creating the repositories does not connect to the database.
+Deno.test("repositories are reused for the same request", () => {
+  const repositories = createPostgresRepositories();
+  const first = repositories.forScope({ requestId: "first" });
+
+  assert(repositories.forScope({ requestId: "first" }) === first);
+  assert(repositories.forScope({ requestId: "second" }) !== first);
+});
+
+Deno.test("repositories without a request ID are not scoped", () => {
+  const repositories = createPostgresRepositories();
+
+  assert(repositories.forScope({}).lists === repositories.lists);
+  assert(repositories.forScope().users === repositories.users);
+});
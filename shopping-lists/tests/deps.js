@@ -0,0 +1,8 @@
+export {
+  assert,
+  assertEquals,
+  assertExists,
+  assertMatch,
+  assertRejects,
+  assertStringIncludes,
+} from "https://deno.land/std@0.140.0/testing/asserts.ts";
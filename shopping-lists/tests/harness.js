@@ -0,0 +1,151 @@
+import { handleRequest } from "../app.js";
+import { executeQuery } from "../database/database.js";
+import { createMemoryRepositories } from "../repositories/memory/index.js";
+import { createPostgresRepositories } from "../repositories/postgres/index.js";
+import { useRepositories } from "../repositories/repositories.js";
+
+const TABLES = [
+  "activity_log",
+  "list_members",
+  "shopping_list_items",
+  "shopping_lists",
+  "users",
+];
+
+const usePostgres = () => {
+  return Deno.env.get("TEST_DATABASE") === "postgres";
+};
+
+// Tests run against the in-memory repositories unless TEST_DATABASE is
+// "postgres"; the database (see project.env) is then emptied before each
+// test, so never point it at one whose data you need.
+const useTestRepositories = async () => {
+  if (!usePostgres()) {
+    const repositories = createMemoryRepositories();
+    useRepositories(repositories);
+    return repositories;
+  }
+
+  await executeQuery(
+    `TRUNCATE ${TABLES.join(", ")} RESTART IDENTITY CASCADE`,
+  );
+  const repositories = createPostgresRepositories();
+  useRepositories(repositories);
+  return repositories;
+};
+
+// Registers a test that gets fresh repositories. The connection pool keeps
+// its connections open between tests, which the resource check would
+// report as leaks.
+const test = (name, fn) => {
+  Deno.test({
+    name,
+    sanitizeResources: !usePostgres(),
+    fn: async () => {
+      await fn(await useTestRepositories());
+    },
+  });
+};
+
+// Controllers get a context like the one built by the middlewares; `render`
+// returns what it was given instead of HTML.
+const createContext = ({ user = null, params = {}, form, ...rest } = {}) => {
+  const request = form
+    ? new Request("http://localhost/", {
+      method: "POST",
+      body: new URLSearchParams(form),
+    })
+    : new Request("http://localhost/");
+
+  return {
+    request,
+    params,
+    user,
+    render: (template, data = {}, { status = 200 } = {}) => {
+      return { template, data, status };
+    },
+    readFormData: async () => form ? await request.formData() : new FormData(),
+    ...rest,
+  };
+};
+
+// Sends requests straight to the app's request handler, like a browser
+// that keeps cookies and follows no redirects. Requests that change data get
+// the session's CSRF token in the X-CSRF-Token header.
+const createClient = () => {
+  const cookies = new Map();
+
+  const storeCookies = (response) => {
+    const setCookie = response.headers.get("Set-Cookie");
+    if (!setCookie) {
+      return;
+    }
+
+    const [pair] = setCookie.split(";");
+    const separator = pair.indexOf("=");
+    cookies.set(pair.slice(0, separator), pair.slice(separator + 1));
+  };
+
+  const cookieHeader = () => {
+    return Array.from(cookies, ([name, value]) => `${name}=${value}`)
+      .join("; ");
+  };
+
+  const send = async (method, path, { body, headers = {} } = {}) => {
+    const response = await handleRequest(
+      new Request(`http://localhost${path}`, {
+        method,
+        body,
+        headers: { Cookie: cookieHeader(), ...headers },
+        redirect: "manual",
+      }),
+    );
+    storeCookies(response);
+    return response;
+  };
+
+  const csrfToken = async () => {
+    const response = await send("GET", "/api/v1/csrf-token");
+    return (await response.json()).token;
+  };
+
+  const get = async (path, options = {}) => {
+    return await send("GET", path, options);
+  };
+
+  // `method` is POST unless given, e.g. PATCH or DELETE.
+  const change = async (path, { method = "POST", body, headers = {} } = {}) => {
+    return await send(method, path, {
+      body,
+      headers: { "X-CSRF-Token": await csrfToken(), ...headers },
+    });
+  };
+
+  const postForm = async (path, fields = {}) => {
+    return await change(path, { body: new URLSearchParams(fields) });
+  };
+
+  const sendJson = async (method, path, data) => {
+    return await change(path, {
+      method,
+      body: data === undefined ? undefined : JSON.stringify(data),
+      headers: { "Content-Type": "application/json" },
+    });
+  };
+
+  const signUp = async (email, password = "correct horse battery") => {
+    await postForm("/auth/register", { email, password });
+    return await postForm("/auth/login", { email, password });
+  };
+
+  return { get, postForm, send, sendJson, signUp };
+};
+
+// Creates a user straight through the repositories, for tests that do not
+// go through the registration form.
+const createUser = async (repositories, email) => {
+  await repositories.users.insert(email, "not a password hash");
+  return await repositories.users.findByEmail(email);
+};
+
+export { createClient, createContext, createUser, test };
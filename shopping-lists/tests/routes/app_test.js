@@ -0,0 +1,324 @@
+import { MAX_FORM_BYTES } from "../../utils/requestUtils.js";
+import {
+  assertEquals,
+  assertExists,
+  assertMatch,
+  assertStringIncludes,
+} from "../deps.js";
+import { createClient, test } from "../harness.js";
+
+test("the main page is public", async () => {
+  const client = createClient();
+
+  const response = await client.get("/");
+
+  assertEquals(response.status, 200);
+  assertEquals(
+    response.headers.get("Content-Type"),
+    "text/html;charset=UTF-8",
+  );
+  await response.text();
+});
+
+test("pages without forms create no session for visitors", async () => {
+  const client = createClient();
+
+  const main = await client.get("/");
+  const missing = await client.get("/no-such-page");
+
+  assertEquals(main.headers.get("Set-Cookie"), null);
+  assertEquals(missing.headers.get("Set-Cookie"), null);
+  await Promise.all([main.text(), missing.text()]);
+});
+
+test("the login form gets a CSRF token in a new session", async () => {
+  const client = createClient();
+
+  const response = await client.get("/auth/login");
+
+  assertStringIncludes(response.headers.get("Set-Cookie"), "sessionId=");
+  assertStringIncludes(await response.text(), 'name="_csrf"');
+});
+
+test("the CSRF token comes with the id of the logged-in user", async () => {
+  const client = createClient();
+
+  const before = await (await client.get("/api/v1/csrf-token")).json();
+  await client.signUp("owner@example.com");
+  const after = await (await client.get("/api/v1/csrf-token")).json();
+
+  assertEquals(before.userId, null);
+  assertEquals(typeof after.userId, "number");
+});
+
+test("the session cookie is secure behind an HTTPS proxy", async () => {
+  const plain = await createClient().get("/auth/login");
+  const proxied = await createClient().get("/auth/login", {
+    headers: { "X-Forwarded-Proto": "https" },
+  });
+
+  assertEquals(plain.headers.get("Set-Cookie").includes("Secure"), false);
+  assertStringIncludes(proxied.headers.get("Set-Cookie"), "Secure");
+  await plain.text();
+  await proxied.text();
+});
+
+test("unknown paths are not found", async () => {
+  const client = createClient();
+  await client.signUp("owner@example.com");
+
+  const page = await client.get("/no-such-page");
+  const api = await client.get("/api/v1/no-such-resource");
+
+  assertEquals(page.status, 404);
+  assertStringIncludes(await page.text(), "owner@example.com");
+  assertEquals(api.status, 404);
+  assertEquals((await api.json()).error, "Not found.");
+});
+
+test("malformed static paths are not found", async () => {
+  const response = await createClient().get("/static/%");
+
+  assertEquals(response.status, 404);
+  await response.text();
+});
+
+test("lists require logging in", async () => {
+  const client = createClient();
+
+  const page = await client.get("/lists");
+  const api = await client.get("/api/v1/lists");
+
+  assertEquals(page.status, 303);
+  assertEquals(page.headers.get("Location"), "/auth/login");
+  assertEquals(api.status, 401);
+  await api.json();
+});
+
+test("changes without the CSRF token are rejected", async () => {
+  const client = createClient();
+  await client.signUp("owner@example.com");
+
+  const response = await client.send("POST", "/lists", {
+    body: new URLSearchParams({ name: "Groceries" }),
+  });
+
+  assertEquals(response.status, 403);
+  await response.text();
+});
+
+test("forms may carry the CSRF token as a field", async () => {
+  const client = createClient();
+  await client.signUp("owner@example.com");
+
+  const { token } = await (await client.get("/api/v1/csrf-token")).json();
+  const response = await client.send("POST", "/lists", {
+    body: new URLSearchParams({ name: "Groceries", _csrf: token }),
+  });
+
+  assertEquals(response.status, 303);
+  await response.text();
+});
+
+test("a CSV file can be imported as a list", async () => {
+  const client = createClient();
+  await client.signUp("owner@example.com");
+
+  const { token } = await (await client.get("/api/v1/csrf-token")).json();
+  const form = new FormData();
+  form.set("file", new File(["name,quantity\nMilk,2\n"], "groceries.csv"));
+  const response = await client.send("POST", "/lists/import", {
+    body: form,
+    headers: { "X-CSRF-Token": token },
+  });
+  const listPath = response.headers.get("Location");
+  const items = await (await client.get(`/api/v1${listPath}/items`)).json();
+
+  assertEquals(response.status, 303);
+  assertEquals(items.data.map(({ name }) => name), ["Milk"]);
+});
+
+test("too large forms are rejected before they are read", async () => {
+  const client = createClient();
+  await client.signUp("owner@example.com");
+
+  const response = await client.postForm("/lists/import", {
+    name: "x".repeat(MAX_FORM_BYTES),
+  });
+
+  assertEquals(response.status, 413);
+  await response.text();
+});
+
+test("passwords are limited to 72 bytes, not characters", async () => {
+  const client = createClient();
+
+  const response = await client.postForm("/auth/register", {
+    email: "owner@example.com",
+    password: "ä".repeat(40),
+  });
+
+  assertEquals(response.status, 200);
+  await response.text();
+});
+
+test("a registered user can log in and see their lists", async () => {
+  const client = createClient();
+
+  const login = await client.signUp("owner@example.com");
+  await client.postForm("/lists", { name: "Groceries" });
+  const page = await client.get("/lists");
+
+  assertEquals(login.headers.get("Location"), "/lists");
+  assertStringIncludes(await page.text(), "Groceries");
+});
+
+test("items can be added and collected through the API", async () => {
+  const client = createClient();
+  await client.signUp("owner@example.com");
+
+  const list = await (await client.sendJson("POST", "/api/v1/lists", {
+    name: "Groceries",
+  })).json();
+  const itemsPath = `/api/v1/lists/${list.id}/items`;
+  const created = await client.sendJson("POST", itemsPath, {
+    name: "Milk",
+    quantity: 2,
+  });
+  const item = await created.json();
+  const collected = await client.sendJson(
+    "POST",
+    `${itemsPath}/${item.id}/collect`,
+  );
+  const items = await (await client.get(itemsPath)).json();
+
+  assertEquals(created.status, 201);
+  assertEquals((await collected.json()).collected, true);
+  assertEquals(items.pagination.total, 1);
+  assertEquals(items.data[0].collected, true);
+});
+
+test("the API only accepts numbers as quantities", async () => {
+  const client = createClient();
+  await client.signUp("owner@example.com");
+
+  const list = await (await client.sendJson("POST", "/api/v1/lists", {
+    name: "Groceries",
+  })).json();
+  const response = await client.sendJson(
+    "POST",
+    `/api/v1/lists/${list.id}/items`,
+    { name: "Milk", quantity: "0x10" },
+  );
+
+  assertEquals(response.status, 400);
+  assertExists((await response.json()).details.quantity);
+});
+
+test("other users cannot see a list", async () => {
+  const owner = createClient();
+  const other = createClient();
+  await owner.signUp("owner@example.com");
+  await other.signUp("other@example.com");
+
+  const list = await (await owner.sendJson("POST", "/api/v1/lists", {
+    name: "Groceries",
+  })).json();
+  const page = await other.get(`/lists/${list.id}`);
+  const api = await other.get(`/api/v1/lists/${list.id}`);
+
+  assertEquals(page.status, 404);
+  await page.text();
+  assertEquals(api.status, 404);
+  await api.json();
+});
+
+test("ids too large for the database are not found", async () => {
+  const client = createClient();
+  await client.signUp("owner@example.com");
+
+  const page = await client.get("/lists/99999999999");
+  const api = await client.get("/api/v1/lists/1/items/2147483648");
+
+  assertEquals(page.status, 404);
+  await page.text();
+  assertEquals(api.status, 404);
+  await api.json();
+});
+
+test("pages beyond the last allowed one are bad requests", async () => {
+  const client = createClient();
+  await client.signUp("owner@example.com");
+
+  const page = await client.get("/search?q=milk&page=99999999999999999999");
+  const api = await client.get("/api/v1/lists?page=10001");
+
+  assertEquals(page.status, 400);
+  await page.text();
+  assertEquals(api.status, 400);
+  assertExists((await api.json()).details.page);
+});
+
+test("deactivated lists can still be exported", async () => {
+  const client = createClient();
+  await client.signUp("owner@example.com");
+
+  const list = await (await client.sendJson("POST", "/api/v1/lists", {
+    name: "Groceries",
+  })).json();
+  await client.postForm(`/lists/${list.id}/deactivate`);
+  const exported = await client.get(`/lists/${list.id}/export?format=json`);
+  const unknown = await client.get(`/lists/${list.id}/export?format=xml`);
+
+  assertEquals(exported.status, 200);
+  assertEquals((await exported.json()).name, "Groceries");
+  assertEquals(unknown.status, 400);
+  await unknown.text();
+});
+
+test("the health check needs no session", async () => {
+  const client = createClient();
+
+  const response = await client.get("/healthz");
+
+  assertEquals(response.status, 200);
+  assertEquals(await response.json(), { status: "ok" });
+  assertEquals(response.headers.get("Set-Cookie"), null);
+});
+
+test("metrics count requests by route and report the lists", async () => {
+  const client = createClient();
+  await client.signUp("owner@example.com");
+  await client.postForm("/lists", { name: "Groceries" });
+  await (await client.get("/lists/1")).text();
+
+  const response = await client.get("/metrics");
+  const metrics = await response.text();
+
+  assertStringIncludes(
+    response.headers.get("Content-Type"),
+    "text/plain; version=0.0.4",
+  );
+  assertStringIncludes(
+    metrics,
+    'http_requests_total{method="GET",route="/lists/:id",status="200"}',
+  );
+  assertStringIncludes(metrics, "shopping_lists_active 1\n");
+});
+
+test("every response carries a request ID", async () => {
+  const client = createClient();
+
+  const generated = await client.get("/healthz");
+  const forwarded = await client.get("/healthz", {
+    headers: { "X-Request-Id": "proxy-1234" },
+  });
+  const invalid = await client.get("/healthz", {
+    headers: { "X-Request-Id": "has spaces" },
+  });
+
+  assertMatch(generated.headers.get("X-Request-Id"), /^[\da-f-]{36}$/);
+  assertEquals(forwarded.headers.get("X-Request-Id"), "proxy-1234");
+  assertMatch(invalid.headers.get("X-Request-Id"), /^[\da-f-]{36}$/);
+  await Promise.all([generated, forwarded, invalid].map((r) => r.json()));
+});
@@ -0,0 +1,58 @@
+import * as listEventService from "../../services/listEventService.js";
+import { assertEquals } from "../deps.js";
+
+// Subscribes `userId` to the list and records what the stream gets.
+const subscribe = (shoppingListId, userId) => {
+  const stream = { events: [], closed: false };
+  stream.unsubscribe = listEventService.subscribe(
+    shoppingListId,
+    userId,
+    (event) => stream.events.push(event),
+    () => stream.closed = true,
+  );
+  return stream;
+};
+
+Deno.test("closing all streams ends every subscription", () => {
+  const first = subscribe(1, 1);
+  const second = subscribe(2, 1);
+
+  listEventService.publish(1, "item-added", { id: 1 });
+  listEventService.closeAll();
+  listEventService.publish(1, "item-added", { id: 2 });
+  first.unsubscribe();
+
+  assertEquals(first.events, [{ type: "item-added", data: { id: 1 } }]);
+  assertEquals([first.closed, second.closed], [true, true]);
+});
+
+Deno.test("streams are closed per user or per list", () => {
+  const removed = subscribe(1, 1);
+  const member = subscribe(1, 2);
+  const otherList = subscribe(2, 1);
+
+  listEventService.closeFor(1, 1);
+  listEventService.publish(1, "item-added", { id: 1 });
+
+  assertEquals(removed.closed, true);
+  assertEquals(removed.events, []);
+  assertEquals(member.events.length, 1);
+  assertEquals(otherList.closed, false);
+
+  listEventService.closeFor(1);
+  listEventService.closeFor(null, 1);
+
+  assertEquals([member.closed, otherList.closed], [true, true]);
+});
+
+Deno.test("a broken stream does not keep events from the others", () => {
+  listEventService.subscribe(1, 1, () => {
+    throw new TypeError("The stream is closed.");
+  }, () => {});
+  const working = subscribe(1, 2);
+
+  listEventService.publish(1, "item-added", { id: 1 });
+  listEventService.closeAll();
+
+  assertEquals(working.events.length, 1);
+});
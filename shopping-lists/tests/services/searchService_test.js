@@ -0,0 +1,34 @@
+import * as searchService from "../../services/searchService.js";
+import * as shoppingListItemService from "../../services/shoppingListItemService.js";
+import * as shoppingListService from "../../services/shoppingListService.js";
+import { assertEquals } from "../deps.js";
+import { createUser, test } from "../harness.js";
+
+test("search finds lists by their items and escapes the highlights", async (
+  repositories,
+) => {
+  const user = await createUser(repositories, "owner@example.com");
+  const party = await shoppingListService.create(user.id, "Party");
+  await shoppingListService.create(user.id, "Hardware");
+  await shoppingListItemService.create(
+    party.id,
+    { name: "Chips & <dip>" },
+    user.id,
+  );
+
+  const results = await searchService.search(user.id, "chips");
+
+  assertEquals(results.map((result) => result.id), [party.id]);
+  assertEquals(results[0].highlights.items, [
+    "<mark>Chips</mark> &amp; &lt;dip&gt;",
+  ]);
+  assertEquals(await searchService.count(user.id, "chips"), 1);
+});
+
+test("search only finds the user's own lists", async (repositories) => {
+  const owner = await createUser(repositories, "owner@example.com");
+  const other = await createUser(repositories, "other@example.com");
+  await shoppingListService.create(owner.id, "Party");
+
+  assertEquals(await searchService.search(other.id, "party"), []);
+});
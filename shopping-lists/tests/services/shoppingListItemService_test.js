@@ -0,0 +1,178 @@
+import * as shoppingListItemService from "../../services/shoppingListItemService.js";
+import * as shoppingListService from "../../services/shoppingListService.js";
+import { assertEquals, assertExists } from "../deps.js";
+import { createUser, test } from "../harness.js";
+
+const createList = async (repositories) => {
+  const user = await createUser(repositories, "owner@example.com");
+  const list = await shoppingListService.create(user.id, "Groceries");
+  return { user, list };
+};
+
+test("adding an item that is on the list increases its quantity", async (
+  repositories,
+) => {
+  const { user, list } = await createList(repositories);
+
+  const first = await shoppingListItemService.create(
+    list.id,
+    { name: "Milk", quantity: 1 },
+    user.id,
+  );
+  const second = await shoppingListItemService.create(
+    list.id,
+    { name: "milk", quantity: 2 },
+    user.id,
+  );
+
+  assertEquals(second.id, first.id);
+  assertEquals(second.quantity, 3);
+  assertEquals(await shoppingListItemService.countByListId(list.id), 1);
+});
+
+test("merged quantities are capped at the maximum", async (repositories) => {
+  const { user, list } = await createList(repositories);
+
+  await shoppingListItemService.create(
+    list.id,
+    { name: "Milk", quantity: 9000 },
+    user.id,
+  );
+  const merged = await shoppingListItemService.create(
+    list.id,
+    { name: "Milk", quantity: 9000 },
+    user.id,
+  );
+
+  assertEquals(merged.quantity, 10000);
+});
+
+test("collected items are not merged with new ones", async (repositories) => {
+  const { user, list } = await createList(repositories);
+  const milk = await shoppingListItemService.create(
+    list.id,
+    { name: "Milk" },
+    user.id,
+  );
+  await shoppingListItemService.setCollected(list.id, milk.id, true, user.id);
+
+  await shoppingListItemService.create(list.id, { name: "Milk" }, user.id);
+
+  const items = await shoppingListItemService.findAllByListId(list.id);
+  assertEquals(items.map((item) => item.collected), [false, true]);
+});
+
+test("update keeps the fields that are not given", async (repositories) => {
+  const { user, list } = await createList(repositories);
+  const milk = await shoppingListItemService.create(
+    list.id,
+    { name: "Milk", quantity: 2, unit: "l" },
+    user.id,
+  );
+
+  const updated = await shoppingListItemService.update(
+    list.id,
+    milk.id,
+    { quantity: 3 },
+    user.id,
+  );
+
+  assertEquals(updated.name, "Milk");
+  assertEquals(updated.unit, "l");
+  assertEquals(updated.quantity, 3);
+});
+
+test("a replayed change older than the item is not applied", async (
+  repositories,
+) => {
+  const { user, list } = await createList(repositories);
+  const milk = await shoppingListItemService.create(
+    list.id,
+    { name: "Milk" },
+    user.id,
+  );
+
+  const stale = await shoppingListItemService.setCollected(
+    list.id,
+    milk.id,
+    true,
+    user.id,
+    { changedAt: new Date(Date.now() - 60 * 60 * 1000) },
+  );
+  const current = await shoppingListItemService.setCollected(
+    list.id,
+    milk.id,
+    true,
+    user.id,
+    { changedAt: new Date() },
+  );
+
+  assertEquals(stale, undefined);
+  assertEquals(current.collected, true);
+});
+
+test("a change sent twice is applied once", async (repositories) => {
+  const { user, list } = await createList(repositories);
+  const change = { name: "Milk", quantity: 2, changeId: "change-1" };
+
+  const first = await shoppingListItemService.create(list.id, change, user.id);
+  const again = await shoppingListItemService.create(list.id, change, user.id);
+  const collected = await shoppingListItemService.setCollected(
+    list.id,
+    first.id,
+    true,
+    user.id,
+    { changedAt: new Date(), changeId: "change-2" },
+  );
+  await shoppingListItemService.setCollected(list.id, first.id, false, user.id);
+  const replayed = await shoppingListItemService.setCollected(
+    list.id,
+    first.id,
+    true,
+    user.id,
+    { changedAt: new Date(), changeId: "change-2" },
+  );
+
+  assertEquals(again.id, first.id);
+  assertEquals(again.quantity, 2);
+  assertEquals(collected.collected, true);
+  assertEquals(replayed.collected, false);
+});
+
+test("undoLast restores a removed item with its id", async (repositories) => {
+  const { user, list } = await createList(repositories);
+  const milk = await shoppingListItemService.create(
+    list.id,
+    { name: "Milk", quantity: 2 },
+    user.id,
+  );
+  await shoppingListItemService.deleteById(list.id, milk.id, user.id);
+
+  const restored = await shoppingListItemService.undoLast(list.id, user.id);
+
+  assertEquals(restored.id, milk.id);
+  assertEquals(restored.quantity, 2);
+  assertExists(await shoppingListItemService.findById(list.id, milk.id));
+});
+
+test("undoLast uncollects, then has nothing left to undo", async (
+  repositories,
+) => {
+  const { user, list } = await createList(repositories);
+  const milk = await shoppingListItemService.create(
+    list.id,
+    { name: "Milk" },
+    user.id,
+  );
+  await shoppingListItemService.setCollected(list.id, milk.id, true, user.id);
+
+  const uncollected = await shoppingListItemService.undoLast(list.id, user.id);
+
+  assertEquals(uncollected.collected, false);
+  assertEquals(
+    await shoppingListItemService.undoLast(list.id, user.id),
+    undefined,
+  );
+  const [entry] = await repositories.activity.findByListId(list.id);
+  assertEquals(entry.action, "item-collect-undone");
+});
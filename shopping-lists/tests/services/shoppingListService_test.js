@@ -0,0 +1,87 @@
+import * as shoppingListItemService from "../../services/shoppingListItemService.js";
+import * as shoppingListService from "../../services/shoppingListService.js";
+import { assertEquals, assertRejects } from "../deps.js";
+import { createUser, test } from "../harness.js";
+
+test("create makes the user the owner and logs it", async (repositories) => {
+  const user = await createUser(repositories, "owner@example.com");
+
+  const list = await shoppingListService.create(user.id, "Groceries");
+
+  assertEquals(list.role, "owner");
+  assertEquals((await shoppingListService.findAll(user.id)).length, 1);
+  const [entry] = await repositories.activity.findByListId(list.id);
+  assertEquals(entry.action, "list-created");
+  assertEquals(entry.email, "owner@example.com");
+});
+
+test("lists are only visible to their members", async (repositories) => {
+  const owner = await createUser(repositories, "owner@example.com");
+  const other = await createUser(repositories, "other@example.com");
+  const list = await shoppingListService.create(owner.id, "Groceries");
+
+  assertEquals(
+    await shoppingListService.findById(list.id, other.id),
+    undefined,
+  );
+  assertEquals(await shoppingListService.findAll(other.id), []);
+});
+
+test("copy copies the items uncollected", async (repositories) => {
+  const user = await createUser(repositories, "owner@example.com");
+  const source = await shoppingListService.create(user.id, "Last week");
+  const milk = await shoppingListItemService.create(
+    source.id,
+    { name: "Milk", quantity: 2 },
+    user.id,
+  );
+  await shoppingListItemService.setCollected(source.id, milk.id, true, user.id);
+
+  const copy = await shoppingListService.copy(user.id, source.id, "This week");
+
+  const items = await shoppingListItemService.findAllByListId(copy.id);
+  assertEquals(
+    items.map(({ name, quantity, collected }) => ({
+      name,
+      quantity,
+      collected,
+    })),
+    [{ name: "Milk", quantity: 2, collected: false }],
+  );
+});
+
+test("a failed transaction leaves nothing behind", async (repositories) => {
+  const user = await createUser(repositories, "owner@example.com");
+
+  await assertRejects(() =>
+    repositories.transaction(async (transaction) => {
+      await transaction.lists.insert(user.id, "Groceries");
+      throw new Error("Import failed.");
+    })
+  );
+
+  assertEquals(await shoppingListService.countAll(user.id), 0);
+});
+
+test("deactivated lists are archived and can be deleted", async (
+  repositories,
+) => {
+  const user = await createUser(repositories, "owner@example.com");
+  const list = await shoppingListService.create(user.id, "Groceries");
+  await shoppingListItemService.create(list.id, { name: "Milk" }, user.id);
+
+  await shoppingListService.setActive(list.id, false, user.id);
+
+  assertEquals(
+    await shoppingListService.findActiveById(list.id, user.id),
+    undefined,
+  );
+  const [archived] = await shoppingListService.findArchived(user.id);
+  assertEquals(archived.id, list.id);
+  assertEquals(archived.item_count, 1);
+
+  await shoppingListService.deleteById(list.id);
+
+  assertEquals(await shoppingListService.findById(list.id, user.id), undefined);
+  assertEquals(await shoppingListItemService.countByListId(list.id), 0);
+});
@@ -0,0 +1,45 @@
+import { buildManifest } from "../../utils/assets.js";
+import { join } from "../../deps.js";
+import { assertEquals } from "../deps.js";
+
+const encoder = new TextEncoder();
+
+const gzip = async (text) => {
+  const stream = new Blob([text]).stream()
+    .pipeThrough(new CompressionStream("gzip"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+Deno.test("precompressed copies are used only if they match", async () => {
+  const root = await Deno.makeTempDir();
+  try {
+    const write = (name, content) => Deno.writeFile(join(root, name), content);
+    await write("current.js", encoder.encode("current();"));
+    await write("current.js.gz", await gzip("current();"));
+    await write("current.js.br", encoder.encode("brotli"));
+    await write("stale.js", encoder.encode("updated();"));
+    await write("stale.js.gz", await gzip("stale();"));
+    await write("stale.js.br", encoder.encode("brotli"));
+    await write("broken.js", encoder.encode("broken();"));
+    await write("broken.js.gz", encoder.encode("not gzip"));
+    await write("plain.js", encoder.encode("plain();"));
+
+    const { byName } = await buildManifest(root);
+
+    assertEquals([...byName.keys()].sort(), [
+      "broken.js",
+      "current.js",
+      "plain.js",
+      "stale.js",
+    ]);
+    assertEquals(byName.get("current.js").precompressed, {
+      br: join(root, "current.js.br"),
+      gzip: join(root, "current.js.gz"),
+    });
+    assertEquals(byName.get("stale.js").precompressed, {});
+    assertEquals(byName.get("broken.js").precompressed, {});
+    assertEquals(byName.get("plain.js").precompressed, {});
+  } finally {
+    await Deno.remove(root, { recursive: true });
+  }
+});
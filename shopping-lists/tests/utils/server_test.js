@@ -0,0 +1,43 @@
+import { startServer } from "../../utils/server.js";
+import { assertEquals } from "../deps.js";
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+Deno.test("shutting down waits for the requests in progress", async () => {
+  const steps = [];
+  let requestStarted;
+  let finishRequest;
+  const started = new Promise((resolve) => requestStarted = resolve);
+
+  const server = startServer(async () => {
+    requestStarted();
+    await new Promise((resolve) => finishRequest = resolve);
+    steps.push("request finished");
+    return new Response("Done.");
+  }, {
+    port: 0,
+    hostname: "127.0.0.1",
+    shutdownTimeoutMs: 5000,
+    closeStreams: () => steps.push("streams closed"),
+    onShutdown: async () => {
+      steps.push("onShutdown");
+    },
+  });
+
+  // The response may be cut off when the server closes its connections.
+  const responded = fetch(`http://127.0.0.1:${server.addr.port}/`)
+    .then((response) => response.text())
+    .catch(() => null);
+  await started;
+  const shutDown = server.shutDown("test");
+  await wait(50);
+
+  assertEquals(steps, ["streams closed"]);
+
+  finishRequest();
+  await shutDown;
+  await responded;
+  await server.finished;
+
+  assertEquals(steps, ["streams closed", "request finished", "onShutdown"]);
+});
@@ -0,0 +1,83 @@
+import { MAX_PAGE } from "./requestUtils.js";
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const isApiRequest = (request) => {
+  return new URL(request.url).pathname.startsWith("/api/");
+};
+
+const json = (data, status = 200) => {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+};
+
+const noContent = () => {
+  return new Response(null, { status: 204 });
+};
+
+// Every API error has the same shape: a short message and optional details.
+const apiError = (status, error, details = null) => {
+  return json({ error, details }, status);
+};
+
+// Returns the JSON object in the request body, or null if there is none.
+const readJsonBody = async (request) => {
+  try {
+    const body = await request.json();
+    return body !== null && typeof body === "object" && !Array.isArray(body)
+      ? body
+      : null;
+  } catch (_e) {
+    return null;
+  }
+};
+
+const parsePositiveInteger = (value, defaultValue) => {
+  if (value === null) {
+    return defaultValue;
+  }
+
+  return /^[1-9]\d*$/.test(value) ? Number(value) : NaN;
+};
+
+const parsePagination = (url) => {
+  const page = parsePositiveInteger(url.searchParams.get("page"), 1);
+  const pageSize = parsePositiveInteger(
+    url.searchParams.get("pageSize"),
+    DEFAULT_PAGE_SIZE,
+  );
+
+  const errors = {};
+  if (Number.isNaN(page) || page > MAX_PAGE) {
+    errors.page = [`page must be an integer between 1 and ${MAX_PAGE}.`];
+  }
+
+  if (Number.isNaN(pageSize) || pageSize > MAX_PAGE_SIZE) {
+    errors.pageSize = [
+      `pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}.`,
+    ];
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { errors };
+  }
+
+  return { page, pageSize, limit: pageSize, offset: (page - 1) * pageSize };
+};
+
+const paginated = (data, { page, pageSize }, total) => {
+  return json({ data, pagination: { page, pageSize, total } });
+};
+
+export {
+  apiError,
+  isApiRequest,
+  json,
+  noContent,
+  paginated,
+  parsePagination,
+  readJsonBody,
+};
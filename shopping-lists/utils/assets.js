@@ -0,0 +1,144 @@
+import { extname, join, relative, walk } from "../deps.js";
+
+const STATIC_PREFIX = "/static/";
+const HASH_LENGTH = 16;
+
+// Compressed copies of an asset, e.g. `bootstrap.min.css.br`, are served in
+// place of the asset and are not assets of their own.
+const PRECOMPRESSED_EXTENSIONS = {
+  br: ".br",
+  gzip: ".gz",
+};
+
+const toHex = (buffer) => {
+  return Array.from(
+    new Uint8Array(buffer),
+    (byte) => byte.toString(16).padStart(2, "0"),
+  ).join("");
+};
+
+const hashOf = async (content) => {
+  const digest = await crypto.subtle.digest("SHA-256", content);
+  return toHex(digest).slice(0, HASH_LENGTH);
+};
+
+const fileExists = async (path) => {
+  try {
+    return (await Deno.stat(path)).isFile;
+  } catch (e) {
+    if (e instanceof Deno.errors.NotFound) {
+      return false;
+    }
+
+    throw e;
+  }
+};
+
+const gunzip = async (path) => {
+  const stream = new Blob([await Deno.readFile(path)]).stream()
+    .pipeThrough(new DecompressionStream("gzip"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Finds the precompressed copies of an asset that may be served in its place.
+// The copies are generated with `deno task compress`; a copy that no longer
+// matches the asset is ignored so the asset is compressed on the fly instead.
+// Deno cannot decompress brotli, so a brotli copy is only used when the gzip
+// copy generated with it matches.
+const findPrecompressed = async (path, hash) => {
+  const gzipPath = `${path}${PRECOMPRESSED_EXTENSIONS.gzip}`;
+  try {
+    if (await hashOf(await gunzip(gzipPath)) !== hash) {
+      return {};
+    }
+  } catch (_e) {
+    // A missing copy or one that is not valid gzip.
+    return {};
+  }
+
+  const brotliPath = `${path}${PRECOMPRESSED_EXTENSIONS.br}`;
+  return await fileExists(brotliPath)
+    ? { br: brotliPath, gzip: gzipPath }
+    : { gzip: gzipPath };
+};
+
+// "css/styles.css" -> "css/styles.<hash>.css"
+const hashedName = (logicalName, hash) => {
+  const extension = extname(logicalName);
+  const base = logicalName.slice(0, logicalName.length - extension.length);
+  return `${base}.${hash}${extension}`;
+};
+
+// Reads every file under `root` once and maps its logical name (the path
+// relative to `root`) to a URL that changes whenever the content changes.
+const buildManifest = async (root) => {
+  const precompressed = Object.values(PRECOMPRESSED_EXTENSIONS);
+  const byName = new Map();
+  const byUrl = new Map();
+
+  for await (const entry of walk(root, { includeDirs: false })) {
+    const logicalName = relative(root, entry.path).replaceAll("\\", "/");
+    if (precompressed.includes(extname(logicalName))) {
+      continue;
+    }
+
+    const hash = await hashOf(await Deno.readFile(entry.path));
+    const asset = {
+      logicalName,
+      path: entry.path,
+      hash,
+      url: `${STATIC_PREFIX}${hashedName(logicalName, hash)}`,
+      precompressed: await findPrecompressed(entry.path, hash),
+    };
+
+    byName.set(logicalName, asset);
+    byUrl.set(asset.url, asset);
+  }
+
+  return { byName, byUrl };
+};
+
+// Built at startup, so changed static files are picked up on restart.
+const manifest = await buildManifest(join(Deno.cwd(), "static"));
+
+// Used by the templates: `<%= it.asset("css/styles.css") %>`.
+const assetUrl = (logicalName) => {
+  const asset = manifest.byName.get(logicalName);
+  if (!asset) {
+    throw new Error(`Unknown static asset: ${logicalName}`);
+  }
+
+  return asset.url;
+};
+
+// Finds the asset of a request path. Content-hashed URLs never change their
+// content and may be cached forever; plain `/static/<name>` paths may not.
+const findAsset = (pathname) => {
+  const hashedAsset = manifest.byUrl.get(pathname);
+  if (hashedAsset) {
+    return { asset: hashedAsset, immutable: true };
+  }
+
+  if (!pathname.startsWith(STATIC_PREFIX)) {
+    return null;
+  }
+
+  let logicalName;
+  try {
+    logicalName = decodeURIComponent(pathname.slice(STATIC_PREFIX.length));
+  } catch (_e) {
+    // A malformed escape, e.g. `/static/%`, cannot name an asset.
+    return null;
+  }
+
+  const asset = manifest.byName.get(logicalName);
+  return asset ? { asset, immutable: false } : null;
+};
+
+export {
+  assetUrl,
+  buildManifest,
+  findAsset,
+  PRECOMPRESSED_EXTENSIONS,
+  STATIC_PREFIX,
+};
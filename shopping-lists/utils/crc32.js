@@ -0,0 +1,24 @@
+// CRC-32 as computed by java.util.zip.CRC32 (polynomial 0xEDB88320).
+const TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+
+  return c >>> 0;
+});
+
+// Returns the checksum of all given byte arrays in order, as an unsigned
+// 32-bit integer.
+const crc32 = (chunks) => {
+  let crc = 0xFFFFFFFF;
+  for (const bytes of chunks) {
+    for (const byte of bytes) {
+      crc = TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+    }
+  }
+
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+export { crc32 };
@@ -0,0 +1,100 @@
+// Minimal RFC 4180 CSV support: comma separated, fields optionally quoted
+// with double quotes, quotes inside quoted fields doubled.
+
+// Spreadsheet programs run cells starting with these characters as formulas,
+// so such values are exported with a leading apostrophe.
+const FORMULA_PREFIXES = ["=", "+", "-", "@", "\t", "\r"];
+
+const escapeField = (value) => {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (FORMULA_PREFIXES.some((prefix) => text.startsWith(prefix))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+const unescapeFormula = (text) => {
+  return text.startsWith("'") &&
+      FORMULA_PREFIXES.some((prefix) => text.startsWith(prefix, 1))
+    ? text.slice(1)
+    : text;
+};
+
+const stringify = (rows) => {
+  return rows.map((row) => row.map(escapeField).join(",")).join("\r\n") +
+    "\r\n";
+};
+
+// Returns the records as `{ line, fields }`, where `line` is the line number
+// the record starts on. Blank lines are skipped.
+const parse = (text) => {
+  const records = [];
+  let fields = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let fieldStarted = false;
+
+  const endField = () => {
+    fields.push(unescapeFormula(field));
+    field = "";
+    fieldStarted = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== "") {
+      records.push({ line: recordLine, fields });
+    }
+
+    fields = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") {
+          line++;
+        }
+
+        field += char;
+      }
+    } else if (char === '"' && !fieldStarted) {
+      quoted = true;
+      fieldStarted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+      fieldStarted = true;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Line ${recordLine}: unterminated quoted field.`);
+  }
+
+  if (field !== "" || fields.length > 0) {
+    endRecord();
+  }
+
+  return records;
+};
+
+export { parse, stringify };
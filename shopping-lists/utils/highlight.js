@@ -0,0 +1,17 @@
+// Search matches are marked with these control characters instead of tags,
+// so that `toHtml` can escape the text before adding <mark> elements.
+const MATCH_START = "\u0002";
+const MATCH_STOP = "\u0003";
+
+const escapeHtml = (text) => {
+  return text.replaceAll("&", "&amp;").replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;").replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+};
+
+const toHtml = (marked) => {
+  return escapeHtml(marked).replaceAll(MATCH_START, "<mark>")
+    .replaceAll(MATCH_STOP, "</mark>");
+};
+
+export { MATCH_START, MATCH_STOP, toHtml };
@@ -0,0 +1,39 @@
+const UNITS = ["pcs", "kg", "g", "l", "dl", "ml", "pack"];
+const DEFAULT_UNIT = "pcs";
+const MAX_QUANTITY = 10000;
+
+// Listed in the default aisle order.
+const CATEGORIES = [
+  "produce",
+  "bakery",
+  "dairy",
+  "meat",
+  "fish",
+  "frozen",
+  "pantry",
+  "drinks",
+  "household",
+  "other",
+];
+const DEFAULT_CATEGORY = "other";
+
+// Returns all categories, the ones in the user's aisle order first. Unknown
+// entries are dropped and categories missing from it keep the default order.
+const orderCategories = (aisleOrder) => {
+  const ordered = (aisleOrder ?? []).filter((category, index, all) =>
+    CATEGORIES.includes(category) && all.indexOf(category) === index
+  );
+  return [
+    ...ordered,
+    ...CATEGORIES.filter((category) => !ordered.includes(category)),
+  ];
+};
+
+export {
+  CATEGORIES,
+  DEFAULT_CATEGORY,
+  DEFAULT_UNIT,
+  MAX_QUANTITY,
+  orderCategories,
+  UNITS,
+};
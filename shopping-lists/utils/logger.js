@@ -0,0 +1,38 @@
+import { config, LOG_LEVELS } from "../config.js";
+
+// Writes one JSON object per line to stdout, e.g.
+// {"level":"info","timestamp":"...","message":"Request handled",...}.
+// Entries below the configured LOG_LEVEL are left out.
+const write = (level, message, fields = {}) => {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(config.logLevel)) {
+    return;
+  }
+
+  console.log(JSON.stringify({
+    level,
+    timestamp: new Date().toISOString(),
+    message,
+    ...fields,
+  }));
+};
+
+const debug = (message, fields) => write("debug", message, fields);
+const info = (message, fields) => write("info", message, fields);
+const warn = (message, fields) => write("warn", message, fields);
+const error = (message, fields) => write("error", message, fields);
+
+// Errors have no enumerable properties, so they are logged through this.
+// PostgreSQL quotes parameter values in its messages, e.g. `invalid input
+// syntax for type integer: "abc"`, so of its errors only the SQLSTATE code
+// is logged.
+const describeError = (e) => {
+  if (e?.fields?.code) {
+    return { name: e.name, code: e.fields.code };
+  }
+
+  return e instanceof Error
+    ? { name: e.name, message: e.message, stack: e.stack }
+    : { message: String(e) };
+};
+
+export { debug, describeError, error, info, warn };
@@ -0,0 +1,158 @@
+import * as logger from "./logger.js";
+
+// A minimal Prometheus client: counters and histograms are kept in memory,
+// gauges are read when the metrics are scraped. `render` returns all of them
+// in the Prometheus text format.
+
+// Request durations in seconds.
+const DEFAULT_BUCKETS = [
+  0.005,
+  0.01,
+  0.025,
+  0.05,
+  0.1,
+  0.25,
+  0.5,
+  1,
+  2.5,
+  5,
+  10,
+];
+
+const metrics = [];
+
+const escapeLabelValue = (value) => {
+  return String(value).replaceAll("\\", "\\\\").replaceAll('"', '\\"')
+    .replaceAll("\n", "\\n");
+};
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels)
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+const formatValue = (value) => {
+  return value === Infinity ? "+Inf" : String(value);
+};
+
+// Series are kept per combination of label values, in the order the label
+// names were declared.
+const createSeries = (labelNames, createValue) => {
+  const series = new Map();
+
+  return {
+    get: (labels) => {
+      const key = JSON.stringify(labelNames.map((name) => labels[name]));
+      if (!series.has(key)) {
+        const labelValues = Object.fromEntries(
+          labelNames.map((name) => [name, labels[name] ?? ""]),
+        );
+        series.set(key, { labels: labelValues, value: createValue() });
+      }
+
+      return series.get(key);
+    },
+    all: () => Array.from(series.values()),
+  };
+};
+
+const header = (name, help, type) => {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+};
+
+const createCounter = (name, help, labelNames = []) => {
+  const series = createSeries(labelNames, () => 0);
+
+  metrics.push(() => [
+    ...header(name, help, "counter"),
+    ...series.all().map(({ labels, value }) =>
+      `${name}${formatLabels(labels)} ${formatValue(value)}`
+    ),
+  ]);
+
+  return {
+    inc: (labels = {}, amount = 1) => {
+      series.get(labels).value += amount;
+    },
+  };
+};
+
+const createHistogram = (
+  name,
+  help,
+  labelNames = [],
+  buckets = DEFAULT_BUCKETS,
+) => {
+  const series = createSeries(labelNames, () => ({
+    counts: buckets.map(() => 0),
+    sum: 0,
+    count: 0,
+  }));
+
+  metrics.push(() => [
+    ...header(name, help, "histogram"),
+    ...series.all().flatMap(({ labels, value }) => [
+      ...buckets.map((bucket, index) =>
+        `${name}_bucket${formatLabels({ ...labels, le: bucket })} ${
+          value.counts[index]
+        }`
+      ),
+      `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${value.count}`,
+      `${name}_sum${formatLabels(labels)} ${value.sum}`,
+      `${name}_count${formatLabels(labels)} ${value.count}`,
+    ]),
+  ]);
+
+  return {
+    observe: (labels, observed) => {
+      const { value } = series.get(labels);
+      buckets.forEach((bucket, index) => {
+        if (observed <= bucket) {
+          value.counts[index] += 1;
+        }
+      });
+      value.sum += observed;
+      value.count += 1;
+    },
+  };
+};
+
+// `collect` returns the current value, or `{ labels, value }` objects for
+// several series. It may be async, e.g. to count rows in the database, and
+// gets the `scope` passed to `render`.
+const createGauge = (name, help, collect) => {
+  metrics.push(async (scope) => {
+    const collected = await collect(scope);
+    const samples = Array.isArray(collected)
+      ? collected
+      : [{ labels: {}, value: collected }];
+    return [
+      ...header(name, help, "gauge"),
+      ...samples.map(({ labels, value }) =>
+        `${name}${formatLabels(labels)} ${formatValue(value)}`
+      ),
+    ];
+  });
+};
+
+// A gauge that cannot be read, e.g. while the database is down, is left out
+// so that the other metrics are still reported. `scope` ({ requestId }) is
+// the request that asked for the metrics.
+const render = async (scope = {}) => {
+  const lines = [];
+  for (const metric of metrics) {
+    try {
+      lines.push(...await metric(scope));
+    } catch (e) {
+      logger.warn("Collecting a metric failed", {
+        requestId: scope.requestId,
+        error: logger.describeError(e),
+      });
+    }
+  }
+
+  return `${lines.join("\n")}\n`;
+};
+
+export { createCounter, createGauge, createHistogram, render };
@@ -0,0 +1,17 @@
+// Runs the middlewares in order; each one receives the shared context and a
+// `next` function that continues with the rest of the chain.
+const compose = (middlewares, handler) => {
+  return (context) => {
+    const dispatch = async (index) => {
+      if (index === middlewares.length) {
+        return await handler(context);
+      }
+
+      return await middlewares[index](context, () => dispatch(index + 1));
+    };
+
+    return dispatch(0);
+  };
+};
+
+export { compose };
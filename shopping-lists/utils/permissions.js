@@ -0,0 +1,18 @@
+const OWNER = "owner";
+const EDITOR = "editor";
+const VIEWER = "viewer";
+
+// Roles that can be given to other users when sharing a list.
+const INVITABLE_ROLES = [EDITOR, VIEWER];
+
+const actionsByRole = {
+  [OWNER]: ["view", "edit", "manage"],
+  [EDITOR]: ["view", "edit"],
+  [VIEWER]: ["view"],
+};
+
+const can = (role, action) => {
+  return (actionsByRole[role] ?? []).includes(action);
+};
+
+export { can, EDITOR, INVITABLE_ROLES, OWNER, VIEWER };
@@ -0,0 +1,69 @@
+import { configure, renderFile } from "../deps.js";
+import { assetUrl } from "./assets.js";
+import * as logger from "./logger.js";
+
+configure({
+  views: `${Deno.cwd()}/views/`,
+});
+
+const CSRF_FIELD = "_csrf";
+
+const POST_FORM = /<form\b[^>]*\bmethod="post"[^>]*>/gi;
+
+// Adds the CSRF token as a hidden field to every POST form of the page, so
+// that templates do not need to remember it. `getCsrfToken` is only called
+// if the page has such a form.
+const injectCsrfToken = (html, getCsrfToken) => {
+  if (!getCsrfToken || !html.match(POST_FORM)) {
+    return html;
+  }
+
+  const field =
+    `<input type="hidden" name="${CSRF_FIELD}" value="${getCsrfToken()}" />`;
+  return html.replace(POST_FORM, (formTag) => `${formTag}\n  ${field}`);
+};
+
+const htmlResponse = (body, status) => {
+  return new Response(body, {
+    status,
+    headers: { "Content-Type": "text/html;charset=UTF-8" },
+  });
+};
+
+// Every template can reference static files through `it.asset(name)`.
+const templateData = (data) => {
+  return { asset: assetUrl, ...data };
+};
+
+const renderErrorPage = async ({ requestId } = {}) => {
+  try {
+    return htmlResponse(await renderFile("error.eta", templateData({})), 500);
+  } catch (e) {
+    logger.error("Rendering error.eta failed", {
+      requestId,
+      error: logger.describeError(e),
+    });
+    return htmlResponse("<h1>Internal server error</h1>", 500);
+  }
+};
+
+// `requestId` is only used for logging a failure; `csrfToken` returns the
+// token for the page's forms.
+const render = async (
+  template,
+  data = {},
+  { status = 200, requestId, csrfToken } = {},
+) => {
+  try {
+    const html = await renderFile(template, templateData(data));
+    return htmlResponse(injectCsrfToken(html, csrfToken), status);
+  } catch (e) {
+    logger.error(`Rendering ${template} failed`, {
+      requestId,
+      error: logger.describeError(e),
+    });
+    return await renderErrorPage({ requestId });
+  }
+};
+
+export { CSRF_FIELD, render, renderErrorPage };
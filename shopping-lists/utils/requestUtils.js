@@ -0,0 +1,109 @@
+// Ids are PostgreSQL INTEGERs.
+const MAX_ID = 2 ** 31 - 1;
+
+const isId = (value) => {
+  return /^\d+$/.test(value) && Number(value) <= MAX_ID;
+};
+
+// Later pages would make the database skip ever more rows, and large enough
+// page numbers overflow its OFFSET.
+const MAX_PAGE = 10000;
+
+// Returns the page number in `value`, 1 if it is missing, or NaN if it is not
+// a whole number between 1 and MAX_PAGE.
+const parsePage = (value) => {
+  if (value === null) {
+    return 1;
+  }
+
+  return /^[1-9]\d*$/.test(value) && Number(value) <= MAX_PAGE
+    ? Number(value)
+    : NaN;
+};
+
+// The import form uploads files of up to 1 MB, the rest is room for its other
+// fields and the multipart boundaries.
+const MAX_FORM_BYTES = 1024 * 1024 + 64 * 1024;
+
+const isFormRequest = (request) => {
+  const contentType = request.headers.get("Content-Type") ?? "";
+  return contentType.startsWith("application/x-www-form-urlencoded") ||
+    contentType.startsWith("multipart/form-data");
+};
+
+// Returns the form in the request body, or null if the body is larger than
+// MAX_FORM_BYTES. A too large Content-Length is rejected before reading, and
+// bodies without one are read only up to the limit. A malformed body reads as
+// an empty form.
+const readFormData = async (request) => {
+  if (Number(request.headers.get("Content-Length")) > MAX_FORM_BYTES) {
+    return null;
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of request.body ?? []) {
+    size += chunk.length;
+    if (size > MAX_FORM_BYTES) {
+      return null;
+    }
+
+    chunks.push(chunk);
+  }
+
+  try {
+    return await new Response(new Blob(chunks), {
+      headers: { "Content-Type": request.headers.get("Content-Type") },
+    }).formData();
+  } catch (_e) {
+    return new FormData();
+  }
+};
+
+// TLS is usually terminated by a proxy in front of the app.
+const isSecureRequest = (request) => {
+  return new URL(request.url).protocol === "https:" ||
+    request.headers.get("X-Forwarded-Proto") === "https";
+};
+
+const redirectTo = (path) => {
+  return new Response(`Redirecting to ${path}.`, {
+    status: 303,
+    headers: {
+      "Location": path,
+    },
+  });
+};
+
+// Rendered through the request's `render`, so that the page shows the
+// logged-in user and gets the CSRF token like every other page.
+const notFound = async ({ render }) => {
+  return await render("notFound.eta", {}, { status: 404 });
+};
+
+const badRequest = async ({ render }) => {
+  return await render("badRequest.eta", {}, { status: 400 });
+};
+
+const payloadTooLarge = async ({ render }) => {
+  return await render("payloadTooLarge.eta", {}, { status: 413 });
+};
+
+const forbidden = async ({ render }) => {
+  return await render("forbidden.eta", {}, { status: 403 });
+};
+
+export {
+  badRequest,
+  forbidden,
+  isFormRequest,
+  isId,
+  isSecureRequest,
+  MAX_FORM_BYTES,
+  MAX_PAGE,
+  notFound,
+  parsePage,
+  payloadTooLarge,
+  readFormData,
+  redirectTo,
+};
@@ -0,0 +1,65 @@
+import { isId } from "./requestUtils.js";
+
+// A number too large for an id in an id parameter (`:id(\\d+)`) cannot
+// name anything, so the route does not match and the request is not found,
+// instead of failing in the database.
+const ID_PARAM = /:(\w+)\(\\d\+\)/g;
+
+const idsInRange = (route, params) => {
+  return route.idParams.every((name) => isId(params[name]));
+};
+
+const createRouter = () => {
+  const routes = [];
+
+  const add = (method, pathname, handler) => {
+    routes.push({
+      method,
+      pathname,
+      pattern: new URLPattern({ pathname }),
+      idParams: Array.from(pathname.matchAll(ID_PARAM), (match) => match[1]),
+      handler,
+    });
+  };
+
+  const findMatch = (request) => {
+    for (const route of routes) {
+      if (route.method !== request.method) {
+        continue;
+      }
+
+      const match = route.pattern.exec(request.url);
+      if (match && idsInRange(route, match.pathname.groups)) {
+        return { route, params: match.pathname.groups };
+      }
+    }
+
+    return null;
+  };
+
+  const handle = async (context) => {
+    const found = findMatch(context.request);
+    if (!found) {
+      return null;
+    }
+
+    return await found.route.handler({ ...context, params: found.params });
+  };
+
+  // The pathname pattern of the route that handles the request, or null if
+  // there is none.
+  const findRoute = (request) => {
+    return findMatch(request)?.route.pathname ?? null;
+  };
+
+  return {
+    get: (pathname, handler) => add("GET", pathname, handler),
+    post: (pathname, handler) => add("POST", pathname, handler),
+    patch: (pathname, handler) => add("PATCH", pathname, handler),
+    delete: (pathname, handler) => add("DELETE", pathname, handler),
+    findRoute,
+    handle,
+  };
+};
+
+export { createRouter };
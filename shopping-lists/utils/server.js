@@ -0,0 +1,120 @@
+import { Server } from "../deps.js";
+import * as logger from "./logger.js";
+
+const SHUTDOWN_SIGNALS = ["SIGTERM", "SIGINT"];
+
+// Serves `handler` until SIGTERM or SIGINT. Then the listener is closed, so
+// no new connections are accepted, and requests that arrive on open
+// connections get 503. `closeStreams` ends the responses that never finish
+// on their own, such as event streams, which are not counted as in
+// progress. The requests in progress may finish for up to
+// `shutdownTimeoutMs`; the remaining connections are closed after that.
+// Finally `onShutdown` runs and the process exits.
+//
+// Returns the listening address, a promise that settles when serving ends
+// and `shutDown`, which shuts down the same way without exiting.
+const startServer = (
+  handler,
+  {
+    port,
+    hostname,
+    shutdownTimeoutMs,
+    closeStreams = () => {},
+    onShutdown = async () => {},
+  },
+) => {
+  let inProgress = 0;
+  let shuttingDown = false;
+  let allFinished = () => {};
+
+  const trackedHandler = async (request, connInfo) => {
+    if (shuttingDown) {
+      return new Response("The server is shutting down.", {
+        status: 503,
+        headers: { "Connection": "close" },
+      });
+    }
+
+    inProgress += 1;
+    try {
+      return await handler(request, connInfo);
+    } finally {
+      inProgress -= 1;
+      if (inProgress === 0) {
+        allFinished();
+      }
+    }
+  };
+
+  const server = new Server({ handler: trackedHandler });
+  const listener = Deno.listen({ port, hostname });
+
+  const waitForRequests = () => {
+    let timer;
+    const finished = new Promise((resolve) => {
+      allFinished = () => resolve(true);
+      if (inProgress === 0) {
+        resolve(true);
+      }
+    });
+    const expired = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(false), shutdownTimeoutMs);
+    });
+
+    return Promise.race([finished, expired]).finally(() => {
+      clearTimeout(timer);
+    });
+  };
+
+  const shutDown = async (signal) => {
+    if (shuttingDown) {
+      return;
+    }
+
+    shuttingDown = true;
+    logger.info("Shutting down", { signal, inProgress });
+    for (const [shutdownSignal, onSignal] of signalListeners) {
+      Deno.removeSignalListener(shutdownSignal, onSignal);
+    }
+    listener.close();
+    closeStreams();
+
+    if (!await waitForRequests()) {
+      logger.warn("Requests still in progress were cut off", { inProgress });
+    }
+
+    server.close();
+    try {
+      await onShutdown();
+    } catch (e) {
+      logger.error("Shutting down failed", { error: logger.describeError(e) });
+    }
+
+    logger.info("Shut down");
+  };
+
+  const signalListeners = SHUTDOWN_SIGNALS.map((signal) => [
+    signal,
+    async () => {
+      await shutDown(signal);
+      Deno.exit(0);
+    },
+  ]);
+
+  for (const [signal, onSignal] of signalListeners) {
+    Deno.addSignalListener(signal, onSignal);
+  }
+
+  logger.info("Listening", { hostname, port });
+  // Closing the listener may end serving with an error, which is expected
+  // while shutting down.
+  const finished = server.serve(listener).catch((e) => {
+    if (!shuttingDown) {
+      throw e;
+    }
+  });
+
+  return { addr: listener.addr, finished, shutDown };
+};
+
+export { startServer };
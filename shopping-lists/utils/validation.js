@@ -0,0 +1,126 @@
+// Declarative validation. A rule is a function that receives the field value
+// (and all the data) and returns an error message, or null when the value is
+// fine. Rules other than `required` accept missing values, so optional fields
+// only need to be valid when given.
+
+// Number() would also read e.g. "0x10", "1e3" and "Infinity".
+const DECIMAL = /^-?(\d+(\.\d*)?|\.\d+)$/;
+
+const isMissing = (value) => {
+  return value === undefined || value === null ||
+    (typeof value === "string" && value.trim() === "");
+};
+
+const optional = (check, message) => (value, data) => {
+  return isMissing(value) || check(value, data) ? null : message;
+};
+
+const required = (value) => {
+  return isMissing(value) ? "This field is required." : null;
+};
+
+const isString = optional(
+  (value) => typeof value === "string",
+  "Must be text.",
+);
+
+const isBoolean = optional(
+  (value) => typeof value === "boolean",
+  "Must be true or false.",
+);
+
+const isEmail = optional(
+  (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  "Must be a valid email address.",
+);
+
+const minLength = (min) =>
+  optional(
+    (value) => String(value).length >= min,
+    `Must be at least ${min} characters long.`,
+  );
+
+const maxLength = (max) =>
+  optional(
+    (value) => String(value).length <= max,
+    `Must be at most ${max} characters long.`,
+  );
+
+// Counts the bytes of the UTF-8 encoding, in which characters outside ASCII
+// take two to four.
+const maxBytes = (max) =>
+  optional(
+    (value) => new TextEncoder().encode(String(value)).length <= max,
+    `Must be at most ${max} bytes long.`,
+  );
+
+const numberBetween = (min, max) =>
+  optional(
+    (value) => {
+      const number = typeof value === "string" && DECIMAL.test(value)
+        ? Number(value)
+        : value;
+      return typeof number === "number" && Number.isFinite(number) &&
+        number >= min && number <= max;
+    },
+    `Must be a number between ${min} and ${max}.`,
+  );
+
+const integerBetween = (min, max) =>
+  optional(
+    (value) => {
+      const number = typeof value === "string" && /^-?\d+$/.test(value)
+        ? Number(value)
+        : value;
+      return Number.isInteger(number) && number >= min && number <= max;
+    },
+    `Must be a whole number between ${min} and ${max}.`,
+  );
+
+const isNumber = optional(
+  (value) => typeof value === "number",
+  "Must be a number.",
+);
+
+const isTimestamp = optional(
+  (value) => typeof value === "string" && !Number.isNaN(Date.parse(value)),
+  "Must be an ISO 8601 timestamp.",
+);
+
+const isIn = (allowedValues) =>
+  optional(
+    (value) => allowedValues.includes(value),
+    `Must be one of: ${allowedValues.join(", ")}.`,
+  );
+
+// Runs the rules of every field, which may also be async. `errors` maps the
+// invalid fields to their messages.
+const validate = async (data, rules) => {
+  const errors = {};
+  for (const [field, fieldRules] of Object.entries(rules)) {
+    for (const rule of fieldRules) {
+      const message = await rule(data[field], data);
+      if (message) {
+        errors[field] = [...(errors[field] ?? []), message];
+      }
+    }
+  }
+
+  return { passes: Object.keys(errors).length === 0, errors };
+};
+
+export {
+  integerBetween,
+  isBoolean,
+  isEmail,
+  isIn,
+  isNumber,
+  isString,
+  isTimestamp,
+  maxBytes,
+  maxLength,
+  minLength,
+  numberBetween,
+  required,
+  validate,
+};
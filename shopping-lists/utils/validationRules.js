@@ -0,0 +1,28 @@
+import { CATEGORIES, MAX_QUANTITY, UNITS } from "./itemAttributes.js";
+import {
+  isIn,
+  isString,
+  maxLength,
+  numberBetween,
+  required,
+} from "./validation.js";
+
+const MAX_NAME_LENGTH = 100;
+const MAX_SEARCH_LENGTH = 200;
+
+const listRules = {
+  name: [required, isString, maxLength(MAX_NAME_LENGTH)],
+};
+
+const itemRules = {
+  name: [required, isString, maxLength(MAX_NAME_LENGTH)],
+  quantity: [numberBetween(0.001, MAX_QUANTITY)],
+  unit: [isIn(UNITS)],
+  category: [isIn(CATEGORIES)],
+};
+
+const searchRules = {
+  q: [required, isString, maxLength(MAX_SEARCH_LENGTH)],
+};
+
+export { itemRules, listRules, MAX_NAME_LENGTH, searchRules };